@@ -7,6 +7,28 @@ class CartDrawer extends HTMLElement {
     this.setHeaderCartIconAccessibility();
   }
 
+  cartSectionsUnregister = undefined;
+
+  // the drawer is rendered with every cart change made on the page, whichever component made it
+  connectedCallback() {
+    this.cartSectionsUnregister = CartSections.register({
+      id: 'CartDrawer',
+      section: 'cart-drawer',
+      selector: '.drawer__inner',
+      render: (source) => {
+        // the recommendations are kept, they're loaded again only when the products in the cart change
+        const recommendations = this.querySelector('[data-cart-recommendations]');
+        this.querySelector('.drawer__inner').innerHTML = source.innerHTML;
+        if (recommendations) this.querySelector('[data-cart-recommendations]')?.replaceWith(recommendations);
+        this.classList.toggle('is-empty', !!source.querySelector('.drawer__inner-empty'));
+      },
+    });
+  }
+
+  disconnectedCallback() {
+    this.cartSectionsUnregister?.();
+  }
+
   setHeaderCartIconAccessibility() {
     const cartLink = document.querySelector('#cart-icon-bubble');
     if (!cartLink) return;
@@ -74,39 +96,15 @@ class CartDrawer extends HTMLElement {
     this.querySelector('.drawer__inner').classList.contains('is-empty') &&
       this.querySelector('.drawer__inner').classList.remove('is-empty');
     this.productId = parsedState.id;
-    this.getSectionsToRender().forEach((section) => {
-      const sectionElement = section.selector
-        ? document.querySelector(section.selector)
-        : document.getElementById(section.id);
-
-      if (!sectionElement) return;
-      sectionElement.innerHTML = this.getSectionInnerHTML(parsedState.sections[section.id], section.selector);
-    });
+    CartSections.render(parsedState.sections, this.getSectionsToRender());
 
     setTimeout(() => {
-      this.querySelector('#CartDrawer-Overlay').addEventListener('click', this.close.bind(this));
       this.open();
     });
   }
 
-  getSectionInnerHTML(html, selector = '.shopify-section') {
-    return new DOMParser().parseFromString(html, 'text/html').querySelector(selector).innerHTML;
-  }
-
   getSectionsToRender() {
-    return [
-      {
-        id: 'cart-drawer',
-        selector: '#CartDrawer',
-      },
-      {
-        id: 'cart-icon-bubble',
-      },
-    ];
-  }
-
-  getSectionDOM(html, selector = '.shopify-section') {
-    return new DOMParser().parseFromString(html, 'text/html').querySelector(selector);
+    return CartSections.get();
   }
 
   setActiveElement(element) {
@@ -116,21 +114,6 @@ class CartDrawer extends HTMLElement {
 
 customElements.define('cart-drawer', CartDrawer);
 
-class CartDrawerItems extends CartItems {
-  getSectionsToRender() {
-    return [
-      {
-        id: 'CartDrawer',
-        section: 'cart-drawer',
-        selector: '.drawer__inner',
-      },
-      {
-        id: 'cart-icon-bubble',
-        section: 'cart-icon-bubble',
-        selector: '.shopify-section',
-      },
-    ];
-  }
-}
+class CartDrawerItems extends CartItems {}
 
 customElements.define('cart-drawer-items', CartDrawerItems);
@@ -0,0 +1,65 @@
+if (!customElements.get('cart-goal-progress')) {
+  customElements.define(
+    'cart-goal-progress',
+    class CartGoalProgress extends HTMLElement {
+      constructor() {
+        super();
+        this.message = this.querySelector('.cart-goal-progress__message');
+        this.bar = this.querySelector('.cart-goal-progress__bar');
+        this.value = this.querySelector('.cart-goal-progress__value');
+        this.liveRegion = this.querySelector('.cart-goal-progress__live-region');
+        this.goals = JSON.parse(this.querySelector('[data-cart-goals]').textContent).sort(
+          (a, b) => a.threshold - b.threshold
+        );
+      }
+
+      cartUpdateUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.update(parseInt(this.dataset.totalPrice), false);
+        this.cartUpdateUnsubscriber = CartStore.subscribe((cart) => this.update(cart.total_price));
+      }
+
+      disconnectedCallback() {
+        this.cartUpdateUnsubscriber?.();
+      }
+
+      // rendered in the drawer and notification alongside the cart they show, from the store's copy of it
+      refresh() {
+        return CartStore.getCart().then((cart) => this.update(cart.total_price));
+      }
+
+      // thresholds are in the store's currency, the cart total is in the one the customer shops in
+      convert(threshold) {
+        return Math.ceil(threshold * (parseFloat(window.Shopify?.currency?.rate) || 1));
+      }
+
+      /**
+       * Shows the progress toward the next goal, or the last goal reached once they all are.
+       * Reaching or losing a goal is announced, other changes are only read through the progress bar.
+       */
+      update(totalPrice, announce = true) {
+        const goals = this.goals.map((goal) => ({ ...goal, threshold: this.convert(goal.threshold) }));
+        const nextGoal = goals.find((goal) => goal.threshold > totalPrice);
+        const reachedCount = nextGoal ? goals.indexOf(nextGoal) : goals.length;
+
+        const message = nextGoal
+          ? nextGoal.remaining.replace('[amount]', MoneyFormat.format(nextGoal.threshold - totalPrice))
+          : goals[goals.length - 1].reached;
+        const progress = nextGoal ? Math.floor((Math.max(totalPrice, 0) / nextGoal.threshold) * 100) : 100;
+
+        this.message.textContent = message;
+        this.bar.setAttribute('aria-valuenow', progress);
+        this.bar.setAttribute('aria-valuetext', message);
+        this.value.style.width = `${progress}%`;
+        this.classList.toggle('cart-goal-progress--complete', !nextGoal);
+
+        if (announce && this.reachedCount !== undefined && reachedCount !== this.reachedCount) {
+          this.liveRegion.textContent =
+            reachedCount > this.reachedCount ? goals[reachedCount - 1].reached : message;
+        }
+        this.reachedCount = reachedCount;
+      }
+    }
+  );
+}
@@ -0,0 +1,162 @@
+if (!customElements.get('cart-line-edit-modal')) {
+  customElements.define(
+    'cart-line-edit-modal',
+    class CartLineEditModal extends customElements.get('quick-add-modal') {
+      constructor() {
+        super();
+        this.confirmButton = this.querySelector('.cart-line-edit-modal__confirm');
+        this.confirmButton.addEventListener('click', this.onConfirm.bind(this));
+
+        // the product form would add the variant as a new line, the modal swaps the edited line instead
+        this.modalContent.addEventListener(
+          'submit',
+          (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            this.onConfirm();
+          },
+          true
+        );
+
+        this.addEventListener('product-info:loaded', ({ target }) => this.fillProperties(target));
+      }
+
+      // rendered once in the layout rather than in a section, so it's already where the modal needs to be
+      connectedCallback() {}
+
+      show(opener) {
+        this.cartItems = opener.closest('cart-items, cart-drawer-items');
+        this.lineItem = null;
+
+        CartStore.getCart().then((cart) => {
+          this.lineItem = cart.items.find((item) => item.key === opener.dataset.lineKey);
+          if (this.lineItem) super.show(opener);
+        });
+      }
+
+      hide(preventFocus = false) {
+        this.toggleLoading(false);
+        super.hide(preventFocus);
+      }
+
+      // the quantity is the line's own, so the product page's quantity selector isn't shown
+      removeDOMElements(productElement) {
+        super.removeDOMElements(productElement);
+        productElement.querySelectorAll('.product-form__quantity').forEach((element) => element.remove());
+      }
+
+      fillProperties(productInfo) {
+        const form = productInfo.querySelector('product-form form');
+        if (!form) return;
+
+        const properties = this.lineItem.properties || {};
+        Array.from(form.elements).forEach((input) => {
+          const name = input.name?.match(/^properties\[(.+)\]$/)?.[1];
+          if (!name || !(name in properties) || input.type === 'file') return;
+
+          if (input.type === 'checkbox' || input.type === 'radio') {
+            input.checked = input.value === properties[name];
+          } else {
+            input.value = properties[name];
+          }
+        });
+      }
+
+      /**
+       * The line's properties, updated with the ones set in the form. Files can't be sent again once uploaded, so the
+       * line keeps the ones it has.
+       */
+      getProperties(formData) {
+        const properties = { ...(this.lineItem.properties || {}) };
+        for (const [key, value] of formData) {
+          const name = key.match(/^properties\[(.+)\]$/)?.[1];
+          if (name && typeof value === 'string') properties[name] = value;
+        }
+        return properties;
+      }
+
+      onConfirm() {
+        const productForm = this.modalContent.querySelector('product-form');
+        if (!productForm || !this.lineItem || this.confirmButton.getAttribute('aria-disabled') === 'true') return;
+
+        productForm.handleErrorMessage();
+        if (productForm.variantIdInput.disabled || productForm.submitButton.hasAttribute('disabled')) {
+          productForm.handleErrorMessage(productForm.submitButtonText.textContent.trim());
+          return;
+        }
+
+        const formData = new FormData(productForm.form);
+        const item = {
+          id: parseInt(formData.get('id')),
+          quantity: this.lineItem.quantity,
+          properties: this.getProperties(formData),
+        };
+        const sellingPlan = formData.get('selling_plan') || this.lineItem.selling_plan_allocation?.selling_plan.id;
+        if (sellingPlan) item.selling_plan = parseInt(sellingPlan);
+
+        const unchanged =
+          item.id === this.lineItem.variant_id &&
+          item.selling_plan === this.lineItem.selling_plan_allocation?.selling_plan.id &&
+          JSON.stringify(item.properties) === JSON.stringify(this.lineItem.properties || {});
+        if (unchanged) {
+          this.hide();
+          return;
+        }
+
+        this.toggleLoading(true);
+        this.swapLine(item)
+          .then((parsedState) => {
+            if (!parsedState) return;
+
+            const { key } = parsedState.addedItem;
+            this.hide(true);
+            this.cartItems.renderCartState(parsedState, 'line-edit', key, 'updates[]');
+          })
+          .catch(() => {
+            productForm.handleErrorMessage(window.cartStrings.error);
+          })
+          .finally(() => {
+            this.toggleLoading(false);
+          });
+      }
+
+      /**
+       * Adds the new variant with the line's quantity, then removes the edited line. The line is only removed once the
+       * cart accepted the new one, so a rejected variant or quantity leaves the cart as it was. The new line goes where
+       * the cart puts added lines, not where the edited one was.
+       */
+      swapLine(item) {
+        const productForm = this.modalContent.querySelector('product-form');
+        const sections = CartSections.getSectionIds(this.cartItems.getSectionsToRender());
+
+        return CartQueue.add({ items: [item] }).then((addResponse) => {
+          if (addResponse.status) {
+            productForm.handleErrorMessage(addResponse.description);
+            return null;
+          }
+
+          const addedItem = addResponse.items[0];
+          return CartQueue.change(
+            { id: this.lineItem.key, quantity: 0, sections, sections_url: window.location.pathname },
+            { event: { source: 'cart-items', productVariantId: item.id } }
+          ).then((parsedState) => {
+            // the new line was added all the same, so the cart is shown with both
+            if (parsedState.errors || parsedState.status) {
+              productForm.handleErrorMessage(parsedState.description || window.cartStrings.error);
+              this.cartItems.onCartUpdate();
+              return null;
+            }
+
+            return { ...parsedState, addedItem };
+          });
+        });
+      }
+
+      toggleLoading(enable) {
+        this.confirmButton.classList.toggle('loading', enable);
+        this.confirmButton.toggleAttribute('aria-disabled', enable);
+        this.confirmButton.querySelector('.loading__spinner').classList.toggle('hidden', !enable);
+      }
+    }
+  );
+}
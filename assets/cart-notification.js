@@ -36,34 +36,27 @@ class CartNotification extends HTMLElement {
 
   renderContents(parsedState) {
     this.cartItemKey = parsedState.key;
-    this.getSectionsToRender().forEach((section) => {
-      document.getElementById(section.id).innerHTML = this.getSectionInnerHTML(
-        parsedState.sections[section.id],
-        section.selector
-      );
-    });
+    CartSections.render(parsedState.sections, this.getSectionsToRender());
+
+    this.querySelector('cart-goal-progress')?.refresh();
 
     if (this.header) this.header.reveal();
     this.open();
   }
 
+  // the added line and the cart button, then the cart sections registered in the page
   getSectionsToRender() {
-    return [
+    return CartSections.get([
       {
         id: 'cart-notification-product',
+        section: 'cart-notification-product',
         selector: `[id="cart-notification-product-${this.cartItemKey}"]`,
       },
       {
         id: 'cart-notification-button',
+        section: 'cart-notification-button',
       },
-      {
-        id: 'cart-icon-bubble',
-      },
-    ];
-  }
-
-  getSectionInnerHTML(html, selector = '.shopify-section') {
-    return new DOMParser().parseFromString(html, 'text/html').querySelector(selector).innerHTML;
+    ]);
   }
 
   handleBodyClick(evt) {
@@ -0,0 +1,111 @@
+class CartQueue {
+  static #mutations = [];
+  static #processing = null;
+
+  static add(body, options) {
+    return CartQueue.mutate(routes.cart_add_url, body, options);
+  }
+
+  static change(body, options) {
+    return CartQueue.mutate(routes.cart_change_url, body, options);
+  }
+
+  static update(body, options) {
+    return CartQueue.mutate(routes.cart_update_url, body, options);
+  }
+
+  /**
+   * Queues a cart mutation and resolves with its parsed response, including error responses.
+   * Mutations are sent one at a time, so each one applies to the cart left by the previous one. A queued mutation that
+   * hasn't been sent yet is replaced by a newer one with the same url and coalesceKey, and both resolve with the
+   * response of the one sent. `body` is sent as JSON, or as is when it's FormData.
+   * `event` is the cartUpdate payload of the mutation (e.g. { source, productVariantId }), left out for mutations
+   * that don't need one published like note updates.
+   */
+  static mutate(url, body, { coalesceKey, event = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const queuedMutation =
+        coalesceKey &&
+        CartQueue.#mutations.find((mutation) => mutation.url === url && mutation.coalesceKey === coalesceKey);
+
+      if (queuedMutation) {
+        queuedMutation.body = body;
+        queuedMutation.event = event;
+        queuedMutation.callbacks.push({ resolve, reject });
+      } else {
+        CartQueue.#mutations.push({ url, body, coalesceKey, event, callbacks: [{ resolve, reject }] });
+      }
+
+      if (!CartQueue.#processing) CartQueue.#processing = CartQueue.#process();
+    });
+  }
+
+  // Resolves once the queue is empty and the subscribers of its cartUpdate are done
+  static whenSettled() {
+    return CartQueue.#processing || Promise.resolve();
+  }
+
+  /**
+   * Sends the queued mutations, then publishes one cartUpdate for the batch. Its cartData is the last cart returned,
+   * `events` holds the payload of each successful mutation and `source` is theirs when they share one.
+   */
+  static async #process() {
+    const events = [];
+    let cartData = null;
+
+    while (CartQueue.#mutations.length) {
+      const mutation = CartQueue.#mutations.shift();
+
+      try {
+        const response = await fetch(mutation.url, CartQueue.#getConfig(mutation.body)).then((response) =>
+          response.json()
+        );
+
+        // the store is kept current for the callers, the subscribers are told once the batch settles
+        if (!response.status && !response.errors) {
+          CartStore.hydrate(response);
+          cartData = response;
+          if (mutation.event) events.push(mutation.event);
+        }
+        mutation.callbacks.forEach(({ resolve }) => resolve(response));
+      } catch (error) {
+        mutation.callbacks.forEach(({ reject }) => reject(error));
+      }
+
+      // lets the callers handle the response before the next mutation is sent or the batch is published
+      await new Promise((resolve) => setTimeout(resolve));
+    }
+
+    try {
+      if (events.length) {
+        const sources = new Set(events.map(({ source }) => source));
+        await publish(PUB_SUB_EVENTS.cartUpdate, {
+          ...events[events.length - 1],
+          source: sources.size === 1 ? events[0].source : 'cart-queue',
+          cartData,
+          events,
+        });
+      }
+    } catch (error) {
+      // a failing subscriber mustn't stop the queue, the mutations after it would never be sent
+      console.error(error);
+    } finally {
+      CartQueue.#processing = CartQueue.#mutations.length ? CartQueue.#process() : null;
+    }
+  }
+
+  static #getConfig(body) {
+    if (body instanceof FormData) {
+      const config = fetchConfig('javascript');
+      config.headers['X-Requested-With'] = 'XMLHttpRequest';
+      delete config.headers['Content-Type'];
+      config.body = body;
+      return config;
+    }
+
+    const config = fetchConfig();
+    config.headers['X-Requested-With'] = 'XMLHttpRequest';
+    config.body = JSON.stringify(body);
+    return config;
+  }
+}
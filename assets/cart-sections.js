@@ -0,0 +1,83 @@
+class CartSections {
+  // the most sections the Section Rendering API renders along with a single cart request
+  static LIMIT = 5;
+  static #registrations = new Set();
+
+  /**
+   * Registers page elements rendered from a cart section with every cart change, as { id, section, selector, render }.
+   * `id` is the element in the page and `section` the section it's rendered from. `selector` is the part of the
+   * section markup, and of the element when it has it, that's swapped, `.shopify-section` by default.
+   * `render(source)` is called with that part of the markup instead of swapping it, for elements that keep some state.
+   * Elements rendered by Liquid register in their markup with data-cart-section and data-cart-section-selector.
+   * Returns the unregister function.
+   */
+  static register(...registrations) {
+    registrations.forEach((registration) => CartSections.#registrations.add(registration));
+    return () => registrations.forEach((registration) => CartSections.#registrations.delete(registration));
+  }
+
+  /**
+   * The sections a cart request renders: the requesting component's own `sections` first, then the ones registered in
+   * the page, for the elements that are in it and up to CartSections.LIMIT sections.
+   */
+  static get(sections = []) {
+    const elementIds = new Set();
+    const sectionIds = new Set();
+
+    return [...sections, ...CartSections.#getRegistrations()].filter(({ id, section }) => {
+      if (elementIds.has(id) || !document.getElementById(id)) return false;
+      if (!sectionIds.has(section) && sectionIds.size === CartSections.LIMIT) return false;
+
+      elementIds.add(id);
+      sectionIds.add(section);
+      return true;
+    });
+  }
+
+  // the `sections` parameter of a cart request, elements rendered from the same section only need it once
+  static getSectionIds(sections = CartSections.get()) {
+    return [...new Set(sections.map(({ section }) => section))];
+  }
+
+  // Renders the sections from the markup returned with a cart response, skipping the ones it doesn't have
+  static render(sectionsMarkup = {}, sections = CartSections.get()) {
+    const documents = new Map();
+
+    sections.forEach(({ id, section, selector = '.shopify-section', render }) => {
+      const element = document.getElementById(id);
+      if (!element || !sectionsMarkup[section]) return;
+
+      if (!documents.has(section)) {
+        documents.set(section, new DOMParser().parseFromString(sectionsMarkup[section], 'text/html'));
+      }
+      const source = documents.get(section).querySelector(selector);
+      if (!source) return;
+
+      if (render) {
+        render(source);
+      } else {
+        (element.querySelector(selector) || element).innerHTML = source.innerHTML;
+      }
+    });
+  }
+
+  // Renders the sections for the current cart, reusing the markup of the last cart response where it has it
+  static refresh(sections = CartSections.get()) {
+    const sectionIds = CartSections.getSectionIds(sections);
+
+    return Promise.all(sectionIds.map((sectionId) => CartStore.getSectionHTML(sectionId))).then((markup) => {
+      const sectionsMarkup = Object.fromEntries(sectionIds.map((sectionId, index) => [sectionId, markup[index]]));
+      CartSections.render(sectionsMarkup, sections);
+    });
+  }
+
+  static #getRegistrations() {
+    const declaredSections = Array.from(document.querySelectorAll('[data-cart-section]'), (element) => ({
+      id: element.id,
+      section: element.dataset.cartSection,
+      selector: element.dataset.cartSectionSelector,
+    }));
+
+    return [...CartSections.#registrations, ...declaredSections];
+  }
+}
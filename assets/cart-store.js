@@ -0,0 +1,72 @@
+class CartStore {
+  static #cart = null;
+  static #sections = {};
+  static #pendingRequest = null;
+
+  // Registered before any component subscribes, so the store is hydrated before subscribers read from it
+  static setListeners() {
+    subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+      if (event?.cartData) CartStore.hydrate(event.cartData);
+    });
+  }
+
+  // the latest known cart, or null until it has been fetched or a cart response has been seen
+  static get cart() {
+    return CartStore.#cart;
+  }
+
+  /**
+   * Updates the store from any /cart/*.js response.
+   * Responses with the whole cart (/cart.js, /cart/change, /cart/update) replace it. Line items returned by /cart/add
+   * don't carry totals, so they mark the cart as stale and the next getCart() call fetches it once for every reader.
+   */
+  static hydrate(cartData) {
+    CartStore.#sections = cartData.sections || {};
+
+    if (cartData.item_count !== undefined) {
+      const { sections, ...cart } = cartData;
+      CartStore.#cart = cart;
+    } else {
+      CartStore.#cart = null;
+    }
+  }
+
+  static getCart() {
+    if (CartStore.#cart) return Promise.resolve(CartStore.#cart);
+    if (CartStore.#pendingRequest) return CartStore.#pendingRequest;
+
+    CartStore.#pendingRequest = fetch(`${routes.cart_url}.js`)
+      .then((response) => response.json())
+      .then((cart) => {
+        CartStore.#cart = cart;
+        return cart;
+      })
+      .finally(() => {
+        CartStore.#pendingRequest = null;
+      });
+
+    return CartStore.#pendingRequest;
+  }
+
+  // Returns a section's markup for the current cart, reusing the copy rendered alongside the last cart response if any
+  static getSectionHTML(sectionId) {
+    if (CartStore.#sections[sectionId]) return Promise.resolve(CartStore.#sections[sectionId]);
+
+    return fetch(`${routes.cart_url}?section_id=${sectionId}`).then((response) => response.text());
+  }
+
+  // Calls back with the up to date cart after every cartUpdate publish, returns the unsubscribe function
+  static subscribe(callback) {
+    return subscribe(PUB_SUB_EVENTS.cartUpdate, (event) =>
+      CartStore.getCart().then((cart) => callback(cart, event))
+    );
+  }
+
+  static getQuantityForVariant(cart, variantId) {
+    return cart.items
+      .filter((item) => item.variant_id.toString() === variantId.toString())
+      .reduce((total, item) => total + item.quantity, 0);
+  }
+}
+
+CartStore.setListeners();
@@ -0,0 +1,84 @@
+class CartSync {
+  // Shares every cart change with the other tabs, which publish it as a cartUpdate with `source: 'other-tab'`
+  static setListeners() {
+    if ('BroadcastChannel' in window) {
+      CartSync.channel = new BroadcastChannel(CartSync.channelName);
+      CartSync.channel.addEventListener('message', ({ data }) => CartSync.receive(data.cart));
+    } else {
+      window.addEventListener('storage', (event) => {
+        if (event.key !== CartSync.storageKey || !event.newValue) return;
+
+        try {
+          CartSync.receive(JSON.parse(event.newValue).cart);
+        } catch (e) {
+          console.error(e);
+        }
+      });
+    }
+
+    // not returned, so the tab's own subscribers don't wait on the cart being sent
+    subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+      if (event?.source === 'other-tab') return;
+
+      CartStore.getCart()
+        .then((cart) => CartSync.send(cart))
+        .catch((e) => {
+          console.error(e);
+        });
+    });
+
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) CartSync.recover();
+    });
+  }
+
+  // Fetches the current cart and publishes it when it isn't the one this tab knows
+  static recover() {
+    return fetch(`${routes.cart_url}.js`)
+      .then((response) => response.json())
+      .then((cart) => CartSync.receive(cart))
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  static send(cart) {
+    if (CartSync.channel) {
+      CartSync.channel.postMessage({ cart });
+      return;
+    }
+
+    // the time makes every change a new value, the storage event only fires for those
+    try {
+      localStorage.setItem(CartSync.storageKey, JSON.stringify({ cart, sentAt: Date.now() }));
+    } catch (e) {}
+  }
+
+  // a tab that hasn't loaded the cart yet only knows the one it was rendered with, so it's refreshed either way
+  static receive(cart) {
+    if (!cart || (CartStore.cart && CartSync.getSignature(CartStore.cart) === CartSync.getSignature(cart))) return;
+
+    // a failing subscriber is logged, the sections still render
+    Promise.resolve()
+      .then(() => publish(PUB_SUB_EVENTS.cartUpdate, { source: 'other-tab', cartData: cart }))
+      .catch((e) => {
+        console.error(e);
+      })
+      .then(() => {
+        // cart-items render the sections for a cartUpdate, the header bubble is left as it was without them
+        if (!document.querySelector('cart-items, cart-drawer-items')) return CartSections.refresh();
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  static getSignature(cart) {
+    return JSON.stringify([cart.token, cart.total_price, cart.items.map(({ key, quantity }) => [key, quantity])]);
+  }
+}
+
+CartSync.channelName = 'cart';
+CartSync.storageKey = 'cart-sync';
+CartSync.channel = null;
+CartSync.setListeners();
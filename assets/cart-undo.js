@@ -0,0 +1,62 @@
+class CartUndo {
+  static DURATION = 8000;
+
+  /**
+   * Creates the "Removed — Undo" notice shown where removed lines were, for the `items_removed` of a /cart/change or
+   * /cart/update response. It's a row spanning `colspan` cells when shown in a table, and it removes itself after
+   * CartUndo.DURATION unless undone first.
+   */
+  static createNotice(items, { colspan, onUndo }) {
+    const notice = document.createElement(colspan ? 'tr' : 'div');
+    notice.className = 'cart-item-undo';
+    notice.items = items;
+
+    let content = notice;
+    if (colspan) {
+      content = notice.insertCell();
+      content.colSpan = colspan;
+    }
+
+    const message = document.createElement('span');
+    message.textContent = window.cartStrings.itemRemoved.replace('[title]', items[0].title);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'cart-item-undo__button link underlined-link';
+    button.textContent = window.cartStrings.undo;
+    button.addEventListener('click', () => {
+      clearTimeout(notice.timer);
+      button.disabled = true;
+      onUndo(notice);
+    });
+
+    content.append(message, button);
+    notice.timer = setTimeout(() => notice.remove(), CartUndo.DURATION);
+
+    return notice;
+  }
+
+  // Adds the removed lines back with their quantity, properties and selling plan, resolves with the /cart/add response
+  static restore(items, { sections, sections_url, event }) {
+    return CartQueue.add(
+      {
+        items: items.map((item) => ({
+          id: item.variant_id,
+          quantity: item.quantity,
+          properties: item.properties || {},
+          ...(item.selling_plan_allocation && { selling_plan: item.selling_plan_allocation.selling_plan.id }),
+        })),
+        sections,
+        sections_url,
+      },
+      { event }
+    );
+  }
+
+  static announce(liveRegion, message) {
+    if (!liveRegion) return;
+
+    liveRegion.setAttribute('aria-hidden', false);
+    liveRegion.textContent = message;
+  }
+}
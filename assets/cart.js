@@ -12,17 +12,43 @@ class CartRemoveButton extends HTMLElement {
 
 customElements.define('cart-remove-button', CartRemoveButton);
 
-class CartItems extends HTMLElement {
+class CartSaveButton extends HTMLElement {
   constructor() {
     super();
-    this.lineItemStatusElement =
-      document.getElementById('shopping-cart-line-item-status') || document.getElementById('CartDrawer-LineItemStatus');
 
-    const debouncedOnChange = debounce((event) => {
-      this.onChange(event);
-    }, ON_CHANGE_DEBOUNCE_TIMER);
+    this.addEventListener('click', (event) => {
+      event.preventDefault();
+      const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+      cartItems.saveForLater(this.dataset.index, event);
+    });
+  }
+}
 
-    this.addEventListener('change', debouncedOnChange.bind(this));
+customElements.define('cart-save-button', CartSaveButton);
+
+class CartItems extends HTMLElement {
+  constructor() {
+    super();
+    this.lineItemStatusElement = this.querySelector('#shopping-cart-line-item-status, #CartDrawer-LineItemStatus');
+
+    this.pendingRequests = new Map();
+    this.requestSequence = 0;
+    this.latestState = null;
+    this.lineItemErrors = new Map();
+    this.removedLineItems = [];
+    this.savingLineItems = new Set();
+
+    // each line is debounced on its own, so changing a line doesn't drop a pending change on another line
+    this.debouncedOnChange = {};
+    this.addEventListener('change', (event) => {
+      const key = event.target.closest('.cart-item')?.dataset.key;
+      if (!this.debouncedOnChange[key]) {
+        this.debouncedOnChange[key] = debounce((event) => {
+          this.onChange(event);
+        }, ON_CHANGE_DEBOUNCE_TIMER);
+      }
+      this.debouncedOnChange[key](event);
+    });
   }
 
   cartUpdateUnsubscriber = undefined;
@@ -42,8 +68,8 @@ class CartItems extends HTMLElement {
     }
   }
 
-  resetQuantityInput(id) {
-    const input = this.querySelector(`#Quantity-${id}`);
+  resetQuantityInput(line) {
+    const input = this.querySelector(`.cart-item[data-line="${line}"] .quantity__input`);
     input.value = input.getAttribute('value');
     this.isEnterPressed = false;
   }
@@ -88,186 +114,311 @@ class CartItems extends HTMLElement {
   }
 
   onCartUpdate() {
-    if (this.tagName === 'CART-DRAWER-ITEMS') {
-      return fetch(`${routes.cart_url}?section_id=cart-drawer`)
-        .then((response) => response.text())
-        .then((responseText) => {
-          const html = new DOMParser().parseFromString(responseText, 'text/html');
-          const selectors = ['cart-drawer-items', '.cart-drawer__footer'];
-          for (const selector of selectors) {
-            const targetElement = document.querySelector(selector);
-            const sourceElement = html.querySelector(selector);
-            if (targetElement && sourceElement) {
-              targetElement.replaceWith(sourceElement);
-            }
-          }
-        })
-        .catch((e) => {
-          console.error(e);
-        });
-    } else {
-      return fetch(`${routes.cart_url}?section_id=main-cart-items`)
-        .then((response) => response.text())
-        .then((responseText) => {
-          const html = new DOMParser().parseFromString(responseText, 'text/html');
-          const sourceQty = html.querySelector('cart-items');
-          this.innerHTML = sourceQty.innerHTML;
-        })
-        .catch((e) => {
-          console.error(e);
-        });
-    }
+    return CartSections.refresh(this.getSectionsToRender()).catch((e) => {
+      console.error(e);
+    });
   }
 
+  // the cart sections registered in the page, whichever of the cart page and drawer this element is in
   getSectionsToRender() {
-    return [
-      {
-        id: 'main-cart-items',
-        section: document.getElementById('main-cart-items').dataset.id,
-        selector: '.js-contents',
-      },
-      {
-        id: 'cart-icon-bubble',
-        section: 'cart-icon-bubble',
-        selector: '.shopify-section',
-      },
-      {
-        id: 'cart-live-region-text',
-        section: 'cart-live-region-text',
-        selector: '.shopify-section',
-      },
-      {
-        id: 'main-cart-footer',
-        section: document.getElementById('main-cart-footer').dataset.id,
-        selector: '.js-contents',
-      },
-    ];
+    return CartSections.get();
   }
 
+  /**
+   * Shows the new quantity straight away and queues it as a /cart/change in the background.
+   * Lines are sent by line item key, as indexes shift when another line is removed while a request is in flight, and
+   * changes to a line that are still queued are coalesced. Each response only settles its own line, rolling it back
+   * when the quantity was rejected or adjusted, and the sections are rendered from the latest cart once no request is
+   * left in flight so lines being edited aren't overwritten.
+   */
   updateQuantity(line, quantity, event, name, variantId) {
-    this.enableLoading(line);
+    const key =
+      event?.target?.closest?.('.cart-item')?.dataset.key ||
+      this.querySelector(`.cart-item[data-line="${line}"]`)?.dataset.key;
+    const lineItem = this.getLineItem(key);
+    if (!lineItem) return;
+
+    const sequence = ++this.requestSequence;
+    const eventTarget = event.currentTarget instanceof CartRemoveButton ? 'clear' : 'change';
+
+    this.enableLoading(key);
+    this.setLineItemQuantity(lineItem, quantity);
 
-    const body = JSON.stringify({
-      line,
+    const body = {
+      id: key,
       quantity,
-      sections: this.getSectionsToRender().map((section) => section.section),
+      sections: CartSections.getSectionIds(this.getSectionsToRender()),
       sections_url: window.location.pathname,
-    });
-    const eventTarget = event.currentTarget instanceof CartRemoveButton ? 'clear' : 'change';
+    };
+
+    CartQueue.change(body, { coalesceKey: key, event: { source: 'cart-items', variantId: variantId } })
+      .then((parsedState) => {
+        if (parsedState.errors || parsedState.status) {
+          this.rollbackLineItem(key, parsedState.errors || parsedState.description);
+          return;
+        }
+
+        if (!this.latestState || sequence > this.latestState.sequence) this.latestState = { sequence, parsedState };
+
+        const updatedItem = parsedState.items.find((item) => item.key === key);
+        const updatedValue = updatedItem ? updatedItem.quantity : 0;
+        let message = '';
+        if (updatedValue !== quantity) {
+          message = updatedItem
+            ? window.cartStrings.quantityError.replace('[quantity]', updatedValue)
+            : window.cartStrings.error;
+        }
+
+        const quantityElement = this.getLineItem(key)?.querySelector('.quantity__input');
+        if (quantityElement) quantityElement.setAttribute('value', updatedValue);
+        this.rollbackLineItem(key, message);
+        if (quantity === 0) this.trackRemoval(lineItem, parsedState.items_removed, this.savingLineItems.has(key));
 
-    fetch(`${routes.cart_change_url}`, { ...fetchConfig(), ...{ body } })
-      .then((response) => {
-        return response.text();
+        CartPerformance.measureFromEvent(`${eventTarget}:user-action`, event);
       })
-      .then((state) => {
-        const parsedState = JSON.parse(state);
-
-        CartPerformance.measure(`${eventTarget}:paint-updated-sections"`, () => {
-          const quantityElement =
-            document.getElementById(`Quantity-${line}`) || document.getElementById(`Drawer-quantity-${line}`);
-          const items = document.querySelectorAll('.cart-item');
-
-          if (parsedState.errors) {
-            quantityElement.value = quantityElement.getAttribute('value');
-            this.updateLiveRegions(line, parsedState.errors);
-            return;
-          }
+      .catch(() => {
+        this.rollbackLineItem(key, '');
+        publish(PUB_SUB_EVENTS.toast, { message: window.cartStrings.error, type: 'error' });
+      })
+      .finally(() => {
+        this.savingLineItems.delete(key);
+        this.disableLoading(key);
+
+        if (this.pendingRequests.size === 0 && this.latestState) {
+          const { parsedState } = this.latestState;
+          this.latestState = null;
+          this.renderCartState(parsedState, eventTarget, key, name);
+        }
+      });
+  }
+
+  renderCartState(parsedState, eventTarget, key, name) {
+    CartPerformance.measure(`${eventTarget}:paint-updated-sections"`, () => {
+      const focusedLineItem = this.contains(document.activeElement) && document.activeElement.closest('.cart-item');
+      const focusKey = focusedLineItem ? focusedLineItem.dataset.key : key;
+      const focusName = focusedLineItem ? document.activeElement.getAttribute('name') : name;
+
+      // notices still shown are put back after the sections render, along with the ones for new removals
+      const newRemovals = this.removedLineItems;
+      const removals = Array.from(this.getUndoContainer().querySelectorAll('.cart-item-undo'), (notice) => {
+        clearTimeout(notice.timer);
+        return notice.removal;
+      }).concat(newRemovals.filter(({ saved }) => !saved));
+      this.removedLineItems = [];
+
+      this.classList.toggle('is-empty', parsedState.item_count === 0);
+      const cartDrawerWrapper = document.querySelector('cart-drawer');
+      const cartFooter = document.getElementById('main-cart-footer');
+
+      if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
+      if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
+
+      this.renderSections(parsedState);
+
+      // the drawer re-renders this element, so the errors and focus are restored on the one now in the page
+      const cartItems = this.isConnected ? this : document.querySelector(this.localName);
+      this.lineItemErrors.forEach((message, lineItemKey) => {
+        const lineItem = cartItems?.getLineItem(lineItemKey);
+        if (lineItem) cartItems.updateLiveRegions(lineItem.dataset.line, message);
+      });
+      this.lineItemErrors.clear();
+
+      removals.forEach((removal) => cartItems?.showUndoNotice(removal));
+      if (newRemovals.length) {
+        const { items, saved } = newRemovals[newRemovals.length - 1];
+        CartUndo.announce(
+          document.getElementById('cart-live-region-text') || document.getElementById('CartDrawer-LiveRegionText'),
+          (saved ? window.cartStrings.itemSaved : window.cartStrings.itemRemoved).replace('[title]', items[0].title)
+        );
+      }
 
-          this.classList.toggle('is-empty', parsedState.item_count === 0);
-          const cartDrawerWrapper = document.querySelector('cart-drawer');
-          const cartFooter = document.getElementById('main-cart-footer');
+      const lineItem = cartItems?.getLineItem(focusKey);
+      if (lineItem && lineItem.querySelector(`[name="${focusName}"]`)) {
+        cartDrawerWrapper
+          ? trapFocus(cartDrawerWrapper, lineItem.querySelector(`[name="${focusName}"]`))
+          : lineItem.querySelector(`[name="${focusName}"]`).focus();
+      } else if (parsedState.item_count === 0 && cartDrawerWrapper) {
+        trapFocus(cartDrawerWrapper.querySelector('.drawer__inner-empty'), cartDrawerWrapper.querySelector('a'));
+      } else if (document.querySelector('.cart-item') && cartDrawerWrapper) {
+        trapFocus(cartDrawerWrapper, document.querySelector('.cart-item__name'));
+      }
+    });
+  }
 
-          if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
-          if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
+  // Renders the sections of getSectionsToRender from a cart response requested with them
+  renderSections(parsedState) {
+    CartSections.render(parsedState.sections, this.getSectionsToRender());
+  }
 
-          this.getSectionsToRender().forEach((section) => {
-            const elementToReplace =
-              document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
-            elementToReplace.innerHTML = this.getSectionInnerHTML(
-              parsedState.sections[section.section],
-              section.selector
-            );
-          });
-          const updatedValue = parsedState.items[line - 1] ? parsedState.items[line - 1].quantity : undefined;
-          let message = '';
-          if (items.length === parsedState.items.length && updatedValue !== parseInt(quantityElement.value)) {
-            if (typeof updatedValue === 'undefined') {
-              message = window.cartStrings.error;
-            } else {
-              message = window.cartStrings.quantityError.replace('[quantity]', updatedValue);
-            }
-          }
-          this.updateLiveRegions(line, message);
-
-          const lineItem =
-            document.getElementById(`CartItem-${line}`) || document.getElementById(`CartDrawer-Item-${line}`);
-          if (lineItem && lineItem.querySelector(`[name="${name}"]`)) {
-            cartDrawerWrapper
-              ? trapFocus(cartDrawerWrapper, lineItem.querySelector(`[name="${name}"]`))
-              : lineItem.querySelector(`[name="${name}"]`).focus();
-          } else if (parsedState.item_count === 0 && cartDrawerWrapper) {
-            trapFocus(cartDrawerWrapper.querySelector('.drawer__inner-empty'), cartDrawerWrapper.querySelector('a'));
-          } else if (document.querySelector('.cart-item') && cartDrawerWrapper) {
-            trapFocus(cartDrawerWrapper, document.querySelector('.cart-item__name'));
-          }
-        });
+  getLineItem(key) {
+    return key ? this.querySelector(`.cart-item[data-key="${CSS.escape(key)}"]`) : null;
+  }
 
-        CartPerformance.measureFromEvent(`${eventTarget}:user-action`, event);
+  // the drawer shows its empty state next to this element rather than inside it
+  getUndoContainer() {
+    return this.closest('.drawer__inner') || this;
+  }
+
+  // Moves a line to the saved for later list, through the same request as removing it
+  saveForLater(line, event) {
+    const key = this.querySelector(`.cart-item[data-line="${line}"]`)?.dataset.key;
+    if (!key) return;
+
+    this.savingLineItems.add(key);
+    this.updateQuantity(line, 0, event);
+  }
+
+  /**
+   * Keeps what a removal took out of the cart, so undoing it can be offered once the sections are rendered. Lines
+   * being saved for later are added to the list instead, and only announced.
+   */
+  trackRemoval(lineItem, itemsRemoved = [], saved = false) {
+    const items = itemsRemoved.filter((item) => item.key === lineItem.dataset.key);
+    if (!items.length) return;
 
-        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState, variantId: variantId });
+    if (saved) SavedForLater.add(items);
+
+    let nextLineItem = lineItem.nextElementSibling;
+    while (nextLineItem && (!nextLineItem.dataset.key || nextLineItem.classList.contains('hidden'))) {
+      nextLineItem = nextLineItem.nextElementSibling;
+    }
+
+    this.removedLineItems.push({ items, nextKey: nextLineItem?.dataset.key, saved });
+  }
+
+  showUndoNotice(removal) {
+    const lineItems = this.querySelectorAll('.cart-item');
+    const lastLineItem = lineItems[lineItems.length - 1];
+    const nextLineItem = this.getLineItem(removal.nextKey);
+
+    const notice = CartUndo.createNotice(removal.items, {
+      colspan: lastLineItem?.cells.length,
+      onUndo: this.undoRemoval.bind(this),
+    });
+    notice.removal = removal;
+
+    if (nextLineItem) {
+      nextLineItem.before(notice);
+    } else if (lastLineItem) {
+      lastLineItem.after(notice);
+    } else {
+      this.getUndoContainer().querySelector('.cart__warnings, .cart-drawer__warnings')?.prepend(notice);
+    }
+  }
+
+  undoRemoval(notice) {
+    const { items } = notice;
+    notice.remove();
+
+    CartUndo.restore(items, {
+      sections: CartSections.getSectionIds(this.getSectionsToRender()),
+      sections_url: window.location.pathname,
+      event: { source: 'cart-items' },
+    })
+      .then((response) => {
+        if (response.status) {
+          publish(PUB_SUB_EVENTS.toast, { message: response.description || window.cartStrings.error, type: 'error' });
+          return;
+        }
+
+        return CartStore.getCart().then((cart) => {
+          const parsedState = { ...cart, sections: response.sections };
+
+          // lines being edited are rendered with the rest once their requests settle
+          if (this.pendingRequests.size > 0) {
+            this.latestState = { sequence: ++this.requestSequence, parsedState };
+          } else {
+            this.renderCartState(parsedState, 'undo', response.items[0].key, 'updates[]');
+          }
+
+          CartUndo.announce(
+            document.getElementById('cart-live-region-text') || document.getElementById('CartDrawer-LiveRegionText'),
+            window.cartStrings.itemRestored.replace('[title]', items[0].title)
+          );
+        });
       })
       .catch(() => {
-        this.querySelectorAll('.loading__spinner').forEach((overlay) => overlay.classList.add('hidden'));
-        const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
-        errors.textContent = window.cartStrings.error;
-      })
-      .finally(() => {
-        this.disableLoading(line);
+        publish(PUB_SUB_EVENTS.toast, { message: window.cartStrings.error, type: 'error' });
       });
   }
 
-  updateLiveRegions(line, message) {
-    const lineItemError =
-      document.getElementById(`Line-item-error-${line}`) || document.getElementById(`CartDrawer-LineItemError-${line}`);
-    if (lineItemError) lineItemError.querySelector('.cart-item__error-text').textContent = message;
+  // Updates a line's quantity, prices and the cart total from the line's unit prices, ahead of the server response
+  setLineItemQuantity(lineItem, quantity) {
+    const previousQuantity = parseInt(lineItem.dataset.quantity);
+    if (isNaN(quantity) || quantity === previousQuantity) return;
 
-    this.lineItemStatusElement.setAttribute('aria-hidden', true);
+    lineItem.dataset.quantity = quantity;
+    lineItem.querySelector('.quantity__input').value = quantity;
+    lineItem.classList.toggle('hidden', quantity === 0);
 
-    const cartStatus =
-      document.getElementById('cart-live-region-text') || document.getElementById('CartDrawer-LiveRegionText');
-    cartStatus.setAttribute('aria-hidden', false);
+    lineItem.querySelectorAll('.cart-item__price-wrapper .cart-item__old-price').forEach((price) => {
+      price.textContent = MoneyFormat.format(lineItem.dataset.originalPrice * quantity);
+    });
+    lineItem.querySelectorAll('.cart-item__price-wrapper .price:not(.cart-item__old-price)').forEach((price) => {
+      price.textContent = MoneyFormat.format(lineItem.dataset.finalPrice * quantity);
+    });
 
-    setTimeout(() => {
-      cartStatus.setAttribute('aria-hidden', true);
-    }, 1000);
+    const difference = (quantity - previousQuantity) * lineItem.dataset.finalPrice;
+    document.querySelectorAll('.totals__total-value[data-total-price]').forEach((total) => {
+      total.dataset.totalPrice = parseInt(total.dataset.totalPrice) + difference;
+      total.textContent = MoneyFormat.format(total.dataset.totalPrice, { withCurrency: true });
+    });
+  }
+
+  // Puts a line back to the quantity last confirmed by the server, unless a newer change to the line is in flight
+  rollbackLineItem(key, message) {
+    if (this.pendingRequests.get(key) > 1) return;
+
+    const lineItem = this.getLineItem(key);
+    if (lineItem) {
+      this.setLineItemQuantity(lineItem, parseInt(lineItem.querySelector('.quantity__input').getAttribute('value')));
+    }
+    this.setLineItemError(key, message);
   }
 
-  getSectionInnerHTML(html, selector) {
-    return new DOMParser().parseFromString(html, 'text/html').querySelector(selector).innerHTML;
+  setLineItemError(key, message) {
+    if (message) {
+      this.lineItemErrors.set(key, message);
+    } else {
+      this.lineItemErrors.delete(key);
+    }
+
+    const lineItem = this.getLineItem(key);
+    if (lineItem) this.updateLiveRegions(lineItem.dataset.line, message);
   }
 
-  enableLoading(line) {
-    const mainCartItems = document.getElementById('main-cart-items') || document.getElementById('CartDrawer-CartItems');
-    mainCartItems.classList.add('cart__items--disabled');
+  updateLiveRegions(line, message) {
+    const lineItemError = this.querySelector(`.cart-item[data-line="${line}"] .cart-item__error-text`);
+    if (lineItemError) lineItemError.textContent = message;
+
+    this.lineItemStatusElement?.setAttribute('aria-hidden', true);
 
-    const cartItemElements = this.querySelectorAll(`#CartItem-${line} .loading__spinner`);
-    const cartDrawerItemElements = this.querySelectorAll(`#CartDrawer-Item-${line} .loading__spinner`);
+    const cartStatus = this.querySelector('#cart-live-region-text, #CartDrawer-LiveRegionText');
+    if (!cartStatus) return;
 
-    [...cartItemElements, ...cartDrawerItemElements].forEach((overlay) => overlay.classList.remove('hidden'));
+    cartStatus.setAttribute('aria-hidden', false);
 
-    document.activeElement.blur();
-    this.lineItemStatusElement.setAttribute('aria-hidden', false);
+    setTimeout(() => {
+      cartStatus.setAttribute('aria-hidden', true);
+    }, 1000);
   }
 
-  disableLoading(line) {
-    const mainCartItems = document.getElementById('main-cart-items') || document.getElementById('CartDrawer-CartItems');
-    mainCartItems.classList.remove('cart__items--disabled');
+  enableLoading(key) {
+    this.pendingRequests.set(key, (this.pendingRequests.get(key) || 0) + 1);
+    this.getLineItem(key)?.setAttribute('aria-busy', true);
+
+    this.lineItemStatusElement?.setAttribute('aria-hidden', false);
+  }
 
-    const cartItemElements = this.querySelectorAll(`#CartItem-${line} .loading__spinner`);
-    const cartDrawerItemElements = this.querySelectorAll(`#CartDrawer-Item-${line} .loading__spinner`);
+  disableLoading(key) {
+    const pendingRequests = this.pendingRequests.get(key) - 1;
+    if (pendingRequests > 0) {
+      this.pendingRequests.set(key, pendingRequests);
+      return;
+    }
 
-    cartItemElements.forEach((overlay) => overlay.classList.add('hidden'));
-    cartDrawerItemElements.forEach((overlay) => overlay.classList.add('hidden'));
+    this.pendingRequests.delete(key);
+    this.getLineItem(key)?.removeAttribute('aria-busy');
   }
 }
 
@@ -283,12 +434,163 @@ if (!customElements.get('cart-note')) {
         this.addEventListener(
           'input',
           debounce((event) => {
-            const body = JSON.stringify({ note: event.target.value });
-            fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-              .then(() => CartPerformance.measureFromEvent('note-update:user-action', event));
+            CartQueue.update({ note: event.target.value }, { coalesceKey: 'note' }).then(() =>
+              CartPerformance.measureFromEvent('note-update:user-action', event)
+            );
           }, ON_CHANGE_DEBOUNCE_TIMER)
         );
       }
     }
   );
 }
+
+if (!customElements.get('cart-discount')) {
+  customElements.define(
+    'cart-discount',
+    class CartDiscount extends HTMLElement {
+      constructor() {
+        super();
+        this.form = this.querySelector('form');
+        this.input = this.querySelector('input[name="discount"]');
+        this.submitButton = this.querySelector('.cart-discount__apply');
+        this.error = this.querySelector('.cart-discount__error');
+        this.list = this.querySelector('.cart-discount__codes');
+        this.status = this.querySelector('.cart-discount__status');
+        this.template = this.querySelector('template');
+
+        this.form.addEventListener('submit', this.onSubmit.bind(this));
+        this.input.addEventListener('input', () => this.setError());
+      }
+
+      cartUpdateUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.renderCodes(JSON.parse(this.dataset.discountCodes || '[]'));
+
+        // a line change can make a code apply to the cart or stop applying to it
+        this.cartUpdateUnsubscriber = CartStore.subscribe((cart, event) => {
+          if (event.source !== 'cart-discount' && cart.discount_codes) this.renderCodes(cart.discount_codes);
+        });
+      }
+
+      disconnectedCallback() {
+        this.cartUpdateUnsubscriber?.();
+      }
+
+      get codes() {
+        return Array.from(this.list.children, (pill) => pill.dataset.code);
+      }
+
+      // the cart items of the drawer or cart page this form is in, which know which sections show the cart
+      get cartItems() {
+        return this.closest('cart-drawer')?.querySelector('cart-drawer-items') || document.querySelector('cart-items');
+      }
+
+      onSubmit(event) {
+        event.preventDefault();
+
+        const code = this.input.value.trim();
+        if (!code) return;
+
+        if (this.codes.some((appliedCode) => appliedCode.toLowerCase() === code.toLowerCase())) {
+          this.setError(window.cartStrings.discountAlreadyApplied.replace('[code]', code));
+          return;
+        }
+
+        this.updateCodes([...this.codes, code], code);
+      }
+
+      /**
+       * Sends the codes to /cart/update, which replaces the ones applied to the cart, and renders the cart sections
+       * from the response. Codes that don't apply to the cart are kept, flagged with their error, until removed.
+       */
+      updateCodes(codes, addedCode = null, removedCode = null) {
+        const cartItems = this.cartItems;
+        this.toggleLoading(true);
+        this.setError();
+
+        const body = {
+          discount: codes.join(','),
+          sections: CartSections.getSectionIds(cartItems.getSectionsToRender()),
+          sections_url: window.location.pathname,
+        };
+
+        CartQueue.update(body, { coalesceKey: 'discount', event: { source: 'cart-discount' } })
+          .then((parsedState) => {
+            if (parsedState.errors || parsedState.status) {
+              this.setError(parsedState.description || parsedState.errors || window.cartStrings.error);
+              return;
+            }
+
+            cartItems.renderSections(parsedState);
+
+            // the drawer renders this element again along with its section
+            const cartDiscount = this.isConnected ? this : document.getElementById(this.id);
+            if (!cartDiscount) return;
+
+            cartDiscount.renderCodes(parsedState.discount_codes);
+            cartDiscount.input.value = '';
+            cartDiscount.input.focus();
+
+            const addedDiscountCode = parsedState.discount_codes.find(
+              ({ code }) => code.toLowerCase() === addedCode?.toLowerCase()
+            );
+            if (addedDiscountCode && !addedDiscountCode.applicable) {
+              const message = window.cartStrings.discountNotApplicable.replace('[code]', addedDiscountCode.code);
+              cartDiscount.setError(message);
+            } else if (addedDiscountCode) {
+              cartDiscount.announce(window.cartStrings.discountApplied.replace('[code]', addedDiscountCode.code));
+            } else if (removedCode) {
+              cartDiscount.announce(window.cartStrings.discountRemoved.replace('[code]', removedCode));
+            }
+          })
+          .catch(() => {
+            this.setError(window.cartStrings.error);
+          })
+          .finally(() => {
+            this.toggleLoading(false);
+          });
+      }
+
+      renderCodes(discountCodes) {
+        this.list.replaceChildren(
+          ...discountCodes.map(({ code, applicable }) => {
+            const pill = this.template.content.firstElementChild.cloneNode(true);
+            pill.dataset.code = code;
+            pill.classList.toggle('cart-discount__code--error', !applicable);
+            pill.querySelector('.cart-discount__code-text').textContent = code;
+
+            const removeButton = pill.querySelector('.cart-discount__remove');
+            removeButton.setAttribute('aria-label', window.cartStrings.discountRemoveTitle.replace('[code]', code));
+            removeButton.addEventListener('click', () => {
+              this.updateCodes(
+                this.codes.filter((appliedCode) => appliedCode !== code),
+                null,
+                code
+              );
+            });
+
+            return pill;
+          })
+        );
+        this.list.hidden = discountCodes.length === 0;
+      }
+
+      setError(message = '') {
+        this.error.hidden = !message;
+        this.error.querySelector('.cart-discount__error-text').textContent = message;
+        this.input.toggleAttribute('aria-invalid', !!message);
+      }
+
+      announce(message) {
+        this.status.textContent = message;
+      }
+
+      toggleLoading(enable) {
+        this.submitButton.classList.toggle('loading', enable);
+        this.submitButton.toggleAttribute('aria-disabled', enable);
+        this.submitButton.querySelector('.loading__spinner').classList.toggle('hidden', !enable);
+      }
+    }
+  );
+}
@@ -0,0 +1,139 @@
+class FacetURL {
+  static #priceNames = ['filter.v.price.gte', 'filter.v.price.lte'];
+  static #reservedKeys = ['q', 'type', 'options', 'page', 'price', 'sort', 'sort_by', 'section_id'];
+
+  /**
+   * Maps the search params Shopify filters on to readable ones, `color=red,dark-blue&price=10-50&sort=price-ascending`
+   * rather than `filter.v.option.color=Red&filter.v.option.color=Dark+Blue&filter.v.price.gte=10…`. Filter keys and
+   * values are the handles of the names and labels the facet forms show, those that don't have one of their own keep
+   * their param. Readable params are only shown in the address bar, the ones Shopify filters on are still requested.
+   */
+  static serialize(searchParams) {
+    const filters = FacetURL.#getFilters();
+    const readable = new Map();
+    const others = new URLSearchParams();
+    const price = ['', ''];
+    let sort = '';
+    let page = '';
+
+    new URLSearchParams(searchParams).forEach((value, name) => {
+      if (value === '') return;
+
+      const filter = filters.get(name);
+      if (filter) {
+        if (!readable.has(filter.key)) readable.set(filter.key, []);
+        readable.get(filter.key).push(filter.slugs.get(value) || value);
+      } else if (FacetURL.#priceNames.includes(name)) {
+        price[FacetURL.#priceNames.indexOf(name)] = value;
+      } else if (name === 'sort_by') {
+        sort = value;
+      } else if (name === 'page') {
+        page = value;
+      } else {
+        others.append(name, value);
+      }
+    });
+
+    if (price.some(Boolean)) readable.set('price', [price.join('-')]);
+    if (sort) readable.set('sort', [sort]);
+    if (page) readable.set('page', [page]);
+
+    // values are encoded one by one, so the commas joining them stay readable
+    const readableParams = Array.from(
+      readable,
+      ([key, values]) => `${FacetURL.#encode(key)}=${values.map(FacetURL.#encode).join(',')}`
+    );
+    return [others.toString(), ...readableParams].filter(Boolean).join('&');
+  }
+
+  // Maps readable search params back to the ones Shopify filters on, leaving the search as it is when it has none
+  static parse(search) {
+    const filters = new Map(Array.from(FacetURL.#getFilters().values(), (filter) => [filter.key, filter]));
+    const searchParams = new URLSearchParams();
+    let readable = false;
+
+    search
+      .split('&')
+      .filter(Boolean)
+      .forEach((param) => {
+        const [key, value = ''] = param.split('=').map((part) => part.replace(/\+/g, ' '));
+        const filter = filters.get(FacetURL.#decode(key));
+
+        if (filter) {
+          value.split(',').forEach((slug) => {
+            const decodedSlug = FacetURL.#decode(slug);
+            const filterValue = filter.values.get(decodedSlug) || decodedSlug;
+            searchParams.append(filter.name, filterValue);
+            readable = readable || filter.key !== filter.name || filterValue !== decodedSlug;
+          });
+        } else if (key === 'price') {
+          FacetURL.#decode(value)
+            .split('-')
+            .slice(0, 2)
+            .forEach((amount, index) => searchParams.append(FacetURL.#priceNames[index], amount));
+          readable = true;
+        } else if (key === 'sort') {
+          searchParams.append('sort_by', FacetURL.#decode(value));
+          readable = true;
+        } else {
+          searchParams.append(FacetURL.#decode(key), FacetURL.#decode(value));
+        }
+      });
+
+    return readable ? searchParams.toString() : search;
+  }
+
+  /**
+   * The filters of the facet forms by param name, with the readable key of each and the slugs of its values.
+   * Keys and slugs only go to one filter and value, the first in the forms, so they're mapped back to the same.
+   */
+  static #getFilters() {
+    const filters = new Map();
+    document.querySelectorAll('facet-filters-form input[type="checkbox"][name^="filter."]').forEach((input) => {
+      if (!filters.has(input.name)) filters.set(input.name, { name: input.name, labels: new Map() });
+
+      const label = input.closest('li')?.querySelector('.facet-checkbox__text-label')?.textContent || '';
+      filters.get(input.name).labels.set(input.value, FacetURL.#handleize(label));
+    });
+
+    const keys = new Set(FacetURL.#reservedKeys);
+    filters.forEach((filter) => {
+      const key = FacetURL.#handleize(filter.name.split('.').pop());
+      filter.key = key && !keys.has(key) ? key : filter.name;
+      keys.add(filter.key);
+
+      filter.slugs = new Map();
+      filter.values = new Map();
+      filter.labels.forEach((slug, value) => {
+        const uniqueSlug = slug && !filter.values.has(slug) ? slug : value;
+        filter.slugs.set(value, uniqueSlug);
+        filter.values.set(uniqueSlug, value);
+      });
+    });
+
+    return filters;
+  }
+
+  static #handleize(text) {
+    return text
+      .trim()
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  static #encode(text) {
+    return encodeURIComponent(text).replace(/%20/g, '+');
+  }
+
+  // a malformed param is kept as it is rather than failing the whole search
+  static #decode(text) {
+    try {
+      return decodeURIComponent(text);
+    } catch (e) {
+      return text;
+    }
+  }
+}
@@ -12,6 +12,9 @@ class FacetFiltersForm extends HTMLElement {
 
     const facetWrapper = this.querySelector('#FacetsWrapperDesktop');
     if (facetWrapper) facetWrapper.addEventListener('keyup', onKeyUpEscape);
+
+    this.addEventListener('pointerover', this.onOptionIntent.bind(this));
+    this.addEventListener('focusin', this.onOptionIntent.bind(this));
   }
 
   static setListeners() {
@@ -21,6 +24,9 @@ class FacetFiltersForm extends HTMLElement {
       FacetFiltersForm.renderPage(searchParams, null, false);
     };
     window.addEventListener('popstate', onHistoryChange);
+
+    // readable urls are rendered unfiltered by the server, the results they stand for are rendered once loaded
+    onHistoryChange({ state: history.state });
   }
 
   static toggleActiveFacets(disable = true) {
@@ -46,33 +52,86 @@ class FacetFiltersForm extends HTMLElement {
       countContainerDesktop.classList.add('loading');
     }
 
+    // a render still waiting on its response would paint over this one once it arrives
+    FacetFiltersForm.abortController?.abort();
+    FacetFiltersForm.abortController = new AbortController();
+    const { signal } = FacetFiltersForm.abortController;
+
     sections.forEach((section) => {
-      const url = `${window.location.pathname}?section_id=${section.section}&${searchParams}`;
-      const filterDataUrl = (element) => element.url === url;
+      const url = FacetFiltersForm.getSectionUrl(section.section, searchParams);
+      const html = FacetFiltersForm.cache.get(url);
 
-      FacetFiltersForm.filterData.some(filterDataUrl)
-        ? FacetFiltersForm.renderSectionFromCache(filterDataUrl, event)
-        : FacetFiltersForm.renderSectionFromFetch(url, event);
+      html
+        ? FacetFiltersForm.renderSectionFromCache(html, event)
+        : FacetFiltersForm.renderSectionFromFetch(url, event, signal);
     });
 
     if (updateURLHash) FacetFiltersForm.updateURLHash(searchParams);
   }
 
-  static renderSectionFromFetch(url, event) {
-    fetch(url)
-      .then((response) => response.text())
-      .then((responseText) => {
-        const html = responseText;
-        FacetFiltersForm.filterData = [...FacetFiltersForm.filterData, { html, url }];
+  // Sections are cached by url, so the search params are put in the same order and the empty ones are left out
+  static getSectionUrl(sectionId, searchParams) {
+    const normalizedSearchParams = new URLSearchParams(
+      Array.from(new URLSearchParams(searchParams))
+        .filter(([, value]) => value !== '')
+        .sort(([nameA, valueA], [nameB, valueB]) => nameA.localeCompare(nameB) || valueA.localeCompare(valueB))
+    );
+
+    return `${window.location.pathname}?section_id=${sectionId}&${normalizedSearchParams}`;
+  }
+
+  /**
+   * Fetches a section's markup and caches it. A request still in flight is shared by the renders and prefetches of
+   * the same url, unless the render that started it was aborted.
+   */
+  static fetchSection(url, signal) {
+    const pendingRequest = FacetFiltersForm.pendingRequests.get(url);
+    if (pendingRequest && !pendingRequest.signal?.aborted) return pendingRequest.request;
+
+    const request = fetch(url, { signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(response.status);
+        return response.text();
+      })
+      .then((html) => {
+        FacetFiltersForm.cache.set(url, html);
+        return html;
+      })
+      .finally(() => {
+        if (FacetFiltersForm.pendingRequests.get(url)?.request !== request) return;
+        FacetFiltersForm.pendingRequests.delete(url);
+      });
+
+    FacetFiltersForm.pendingRequests.set(url, { request, signal });
+    return request;
+  }
+
+  // Fetches the sections a shopper is about to ask for, so they render from the cache
+  static prefetch(searchParams) {
+    if (navigator.connection?.saveData) return;
+
+    FacetFiltersForm.getSections().forEach((section) => {
+      const url = FacetFiltersForm.getSectionUrl(section.section, searchParams);
+      if (!FacetFiltersForm.cache.get(url)) FacetFiltersForm.fetchSection(url).catch(() => {});
+    });
+  }
+
+  static renderSectionFromFetch(url, event, signal) {
+    FacetFiltersForm.fetchSection(url, signal)
+      .then((html) => {
+        if (signal.aborted) return;
+
         FacetFiltersForm.renderFilters(html, event);
         FacetFiltersForm.renderProductGridContainer(html);
         FacetFiltersForm.renderProductCount(html);
         if (typeof initializeScrollAnimationTrigger === 'function') initializeScrollAnimationTrigger(html.innerHTML);
+      })
+      .catch((error) => {
+        if (error.name !== 'AbortError') console.error(error);
       });
   }
 
-  static renderSectionFromCache(filterDataUrl, event) {
-    const html = FacetFiltersForm.filterData.find(filterDataUrl).html;
+  static renderSectionFromCache(html, event) {
     FacetFiltersForm.renderFilters(html, event);
     FacetFiltersForm.renderProductGridContainer(html);
     FacetFiltersForm.renderProductCount(html);
@@ -239,7 +298,14 @@ class FacetFiltersForm extends HTMLElement {
   }
 
   static updateURLHash(searchParams) {
-    history.pushState({ searchParams }, '', `${window.location.pathname}${searchParams && '?'.concat(searchParams)}`);
+    const search = typeof FacetURL === 'undefined' ? searchParams : FacetURL.serialize(searchParams);
+    history.pushState({ searchParams }, '', `${window.location.pathname}${search && '?'.concat(search)}`);
+  }
+
+  // The search params the page's url stands for, readable ones mapped back to those Shopify filters on
+  static getURLSearchParams() {
+    const search = window.location.search.slice(1);
+    return typeof FacetURL === 'undefined' ? search : FacetURL.parse(search);
   }
 
   static getSections() {
@@ -259,27 +325,50 @@ class FacetFiltersForm extends HTMLElement {
     FacetFiltersForm.renderPage(searchParams, event);
   }
 
+  // the forms submitted together on a change to `input`
+  getSubmittedForms(input) {
+    if (input.className == 'mobile-facets__checkbox') return [input.closest('form')];
+
+    const isMobile = input.closest('form').id === 'FacetFiltersFormMobile';
+    return Array.from(document.querySelectorAll('facet-filters-form form')).filter((form) =>
+      isMobile
+        ? form.id === 'FacetFiltersFormMobile'
+        : form.id === 'FacetSortForm' || form.id === 'FacetFiltersForm' || form.id === 'FacetSortDrawerForm'
+    );
+  }
+
+  // The search params a change to `input` submits, with the option toggled when it's prefetched before the change
+  getSearchParams(input, toggle = false) {
+    return this.getSubmittedForms(input)
+      .map((form) => {
+        if (!toggle || form !== input.closest('form')) return this.createSearchParams(form);
+
+        const entries = Array.from(new FormData(form)).filter(
+          ([name, value]) => name !== input.name || value !== input.value
+        );
+        if (!input.checked) entries.push([input.name, input.value]);
+        return new URLSearchParams(entries).toString();
+      })
+      .join('&');
+  }
+
   onSubmitHandler(event) {
     event.preventDefault();
-    const sortFilterForms = document.querySelectorAll('facet-filters-form form');
-    if (event.srcElement.className == 'mobile-facets__checkbox') {
-      const searchParams = this.createSearchParams(event.target.closest('form'));
-      this.onSubmitForm(searchParams, event);
-    } else {
-      const forms = [];
-      const isMobile = event.target.closest('form').id === 'FacetFiltersFormMobile';
-
-      sortFilterForms.forEach((form) => {
-        if (!isMobile) {
-          if (form.id === 'FacetSortForm' || form.id === 'FacetFiltersForm' || form.id === 'FacetSortDrawerForm') {
-            forms.push(this.createSearchParams(form));
-          }
-        } else if (form.id === 'FacetFiltersFormMobile') {
-          forms.push(this.createSearchParams(form));
-        }
-      });
-      this.onSubmitForm(forms.join('&'), event);
-    }
+    this.onSubmitForm(this.getSearchParams(event.target), event);
+  }
+
+  // Prefetches the results of an option or active filter the shopper hovers or focuses, once they stay on it
+  onOptionIntent(event) {
+    const link = event.target.closest('facet-remove a');
+    const input = event.target
+      .closest('.facets__item, .mobile-facets__item')
+      ?.querySelector('input[type="checkbox"]:not(:disabled)');
+    if (!link && !input) return;
+
+    clearTimeout(this.prefetchTimer);
+    this.prefetchTimer = setTimeout(() => {
+      FacetFiltersForm.prefetch(link ? link.search.slice(1) : this.getSearchParams(input, true));
+    }, FacetFiltersForm.PREFETCH_DELAY);
   }
 
   onActiveFilterClick(event) {
@@ -293,8 +382,11 @@ class FacetFiltersForm extends HTMLElement {
   }
 }
 
-FacetFiltersForm.filterData = [];
-FacetFiltersForm.searchParamsInitial = window.location.search.slice(1);
+FacetFiltersForm.PREFETCH_DELAY = 100;
+FacetFiltersForm.cache = new SearchCache({ name: 'facets', maxEntries: 10 });
+FacetFiltersForm.pendingRequests = new Map();
+FacetFiltersForm.abortController = null;
+FacetFiltersForm.searchParamsInitial = FacetFiltersForm.getURLSearchParams();
 FacetFiltersForm.searchParamsPrev = window.location.search.slice(1);
 customElements.define('facet-filters-form', FacetFiltersForm);
 FacetFiltersForm.setListeners();
@@ -302,16 +394,34 @@ FacetFiltersForm.setListeners();
 class PriceRange extends HTMLElement {
   constructor() {
     super();
-    this.querySelectorAll('input').forEach((element) => {
+    this.inputs = Array.from(this.querySelectorAll('input'));
+    this.slider = this.querySelector('.price-range__slider');
+    this.thumbs = Array.from(this.querySelectorAll('.price-range__thumb'));
+    this.rangeMin = parseFloat(this.dataset.rangeMin) || 0;
+    this.rangeMax = parseFloat(this.dataset.rangeMax) || 0;
+    // number ranges move by their smallest decimal, e.g. 0.1 for a range of 0.5 to 12.5
+    this.precision = Math.max(
+      ...[this.dataset.rangeMin, this.dataset.rangeMax].map((value) => (value || '').split('.')[1]?.length || 0)
+    );
+    this.step = parseFloat(this.dataset.step) || 10 ** -this.precision;
+    if (this.dataset.format === 'money') this.amountFormat = MoneyFormat.getAmountFormat(this.dataset.amountSample);
+
+    this.inputs.forEach((element) => {
       element.addEventListener('change', this.onRangeChange.bind(this));
       element.addEventListener('keydown', this.onKeyDown.bind(this));
+      element.addEventListener('input', this.renderSlider.bind(this));
     });
-    this.setMinAndMaxValues();
+    this.thumbs.forEach((thumb, index) => {
+      thumb.addEventListener('keydown', (event) => this.onThumbKeyDown(event, index));
+    });
+    this.slider?.addEventListener('pointerdown', this.onPointerDown.bind(this));
+
+    this.renderSlider();
   }
 
   onRangeChange(event) {
     this.adjustToValidValues(event.currentTarget);
-    this.setMinAndMaxValues();
+    this.renderSlider();
   }
 
   onKeyDown(event) {
@@ -321,23 +431,115 @@ class PriceRange extends HTMLElement {
     if (!event.key.match(pattern)) event.preventDefault();
   }
 
-  setMinAndMaxValues() {
-    const inputs = this.querySelectorAll('input');
-    const minInput = inputs[0];
-    const maxInput = inputs[1];
-    if (maxInput.value) minInput.setAttribute('data-max', maxInput.value);
-    if (minInput.value) maxInput.setAttribute('data-min', minInput.value);
-    if (minInput.value === '') maxInput.setAttribute('data-min', 0);
-    if (maxInput.value === '') minInput.setAttribute('data-max', maxInput.getAttribute('data-max'));
+  onThumbKeyDown(event, index) {
+    const steps = { ArrowLeft: -1, ArrowDown: -1, ArrowRight: 1, ArrowUp: 1, PageDown: -10, PageUp: 10 };
+    const ends = { Home: -Infinity, End: Infinity };
+    if (!(event.key in steps) && !(event.key in ends)) return;
+
+    event.preventDefault();
+    this.setValue(index, event.key in ends ? ends[event.key] : this.getValue(index) + steps[event.key] * this.step);
+  }
+
+  // Moves the thumb nearest to the pointer, or the one pressed, until it's released
+  onPointerDown(event) {
+    if (event.button !== 0) return;
+
+    event.preventDefault();
+    const value = this.getPointerValue(event);
+    const [min, max] = [this.getValue(0), this.getValue(1)];
+    let index = this.thumbs.indexOf(event.target.closest('.price-range__thumb'));
+    if (index === -1) index = Math.abs(value - min) < Math.abs(value - max) || (min === max && value < min) ? 0 : 1;
+
+    this.thumbs[index].focus();
+    this.setValue(index, value);
+
+    const onPointerMove = (moveEvent) => this.setValue(index, this.getPointerValue(moveEvent));
+    const onPointerUp = () => {
+      this.slider.removeEventListener('pointermove', onPointerMove);
+      this.slider.removeEventListener('pointerup', onPointerUp);
+      this.slider.removeEventListener('pointercancel', onPointerUp);
+    };
+    this.slider.setPointerCapture(event.pointerId);
+    this.slider.addEventListener('pointermove', onPointerMove);
+    this.slider.addEventListener('pointerup', onPointerUp);
+    this.slider.addEventListener('pointercancel', onPointerUp);
+  }
+
+  getPointerValue(event) {
+    const { left, width } = this.slider.getBoundingClientRect();
+    return this.rangeMin + ((event.clientX - left) / width) * (this.rangeMax - this.rangeMin);
+  }
+
+  // The value of an input, the bound of the range on its side when it's empty or can't be read
+  getValue(index) {
+    const value = this.parse(this.inputs[index].value);
+    if (isNaN(value)) return index === 0 ? this.rangeMin : this.rangeMax;
+    return value;
+  }
+
+  /**
+   * Sets an input from the slider, within the range and the other input's value. The input is submitted by the
+   * facets form as when it's typed in, so moving a thumb shares the form's debounce. A bound of the range is no
+   * filter, so the input is left empty for it.
+   */
+  setValue(index, value) {
+    const input = this.inputs[index];
+    const [min, max] = index === 0 ? [this.rangeMin, this.getValue(1)] : [this.getValue(0), this.rangeMax];
+    const validValue = Math.min(Math.max(Math.round(value / this.step) * this.step, min), max);
+    const bound = index === 0 ? this.rangeMin : this.rangeMax;
+    const inputValue = validValue === bound ? '' : this.formatInputValue(validValue);
+    if (input.value === inputValue) return;
+
+    input.value = inputValue;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
   }
 
   adjustToValidValues(input) {
-    const value = Number(input.value);
-    const min = Number(input.getAttribute('data-min'));
-    const max = Number(input.getAttribute('data-max'));
+    const index = this.inputs.indexOf(input);
+    const value = this.parse(input.value);
+    if (isNaN(value)) return;
+
+    const [min, max] = index === 0 ? [this.rangeMin, this.getValue(1)] : [this.getValue(0), this.rangeMax];
+    if (value < min) input.value = this.formatInputValue(min);
+    if (value > max) input.value = this.formatInputValue(max);
+  }
+
+  // prices are in cents and written as money_without_currency writes them, other ranges are dot decimal numbers
+  parse(text) {
+    if (text.trim() === '') return NaN;
+    if (this.dataset.format === 'money') return MoneyFormat.parse(text, this.amountFormat);
+    return parseFloat(text.replace(/[\s,']/g, ''));
+  }
+
+  formatInputValue(value) {
+    if (this.dataset.format === 'money') return MoneyFormat.applyFormat(value, this.amountFormat);
+    return `${parseFloat(value.toFixed(this.precision))}`;
+  }
 
-    if (value < min) input.value = min;
-    if (value > max) input.value = max;
+  formatText(value) {
+    if (this.dataset.format === 'money') return MoneyFormat.format(value);
+    return new Intl.NumberFormat(MoneyFormat.locale).format(value);
+  }
+
+  getPercent(value) {
+    if (this.rangeMax <= this.rangeMin) return 0;
+    return Math.min(Math.max(((value - this.rangeMin) / (this.rangeMax - this.rangeMin)) * 100, 0), 100);
+  }
+
+  renderSlider() {
+    if (!this.slider) return;
+
+    const values = [this.getValue(0), this.getValue(1)];
+    const [start, end] = values.map((value) => this.getPercent(value));
+    this.slider.style.setProperty('--range-start', `${start}%`);
+    this.slider.style.setProperty('--range-end', `${end}%`);
+
+    this.thumbs.forEach((thumb, index) => {
+      thumb.setAttribute('aria-valuemin', index === 0 ? this.rangeMin : values[0]);
+      thumb.setAttribute('aria-valuemax', index === 0 ? values[1] : this.rangeMax);
+      thumb.setAttribute('aria-valuenow', values[index]);
+      thumb.setAttribute('aria-valuetext', this.formatText(values[index]));
+    });
   }
 }
 
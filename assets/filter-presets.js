@@ -0,0 +1,201 @@
+class FilterPresets {
+  static get presets() {
+    if (!FilterPresets.savedPresets) FilterPresets.savedPresets = FilterPresets.load();
+    return FilterPresets.savedPresets;
+  }
+
+  // Presets are saved with the path of the collection they were made on, as its filters only apply there
+  static getPresets(path = window.location.pathname) {
+    return FilterPresets.presets.filter((preset) => preset.path === path);
+  }
+
+  // The filters and sorting of the results shown without the page, null when no filter is active
+  static getActiveSearchParams() {
+    const searchParams = new URLSearchParams(
+      Array.from(new URLSearchParams(FacetFiltersForm.searchParamsPrev)).filter(
+        ([name, value]) => value !== '' && name !== 'page'
+      )
+    );
+
+    return Array.from(searchParams.keys()).some((name) => name.startsWith('filter.')) ? searchParams.toString() : null;
+  }
+
+  // A preset with the same name on the collection is replaced, returns the one saved
+  static save(name, searchParams) {
+    const path = window.location.pathname;
+    const preset = { id: `${Date.now()}`, name, path, searchParams };
+
+    FilterPresets.savedPresets = [
+      preset,
+      ...FilterPresets.presets.filter(
+        (savedPreset) => savedPreset.path !== path || savedPreset.name.toLowerCase() !== name.toLowerCase()
+      ),
+    ];
+    FilterPresets.save();
+    return preset;
+  }
+
+  static remove(id) {
+    FilterPresets.savedPresets = FilterPresets.presets.filter((preset) => preset.id !== id);
+    FilterPresets.save();
+  }
+
+  static load() {
+    if (routes.filter_presets_url) {
+      try {
+        const presets = JSON.parse(document.querySelector('[data-filter-presets-customer]')?.textContent || null);
+        return Array.isArray(presets) ? presets : [];
+      } catch (e) {
+        console.error(e);
+        return [];
+      }
+    }
+
+    try {
+      return JSON.parse(localStorage.getItem(FilterPresets.storageKey)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // saved through the app proxy for logged-in customers, in localStorage for guests
+  static save() {
+    if (!routes.filter_presets_url) {
+      try {
+        localStorage.setItem(FilterPresets.storageKey, JSON.stringify(FilterPresets.presets));
+      } catch (e) {}
+      return;
+    }
+
+    const config = fetchConfig();
+    config.body = JSON.stringify({ presets: FilterPresets.presets });
+    fetch(routes.filter_presets_url, config)
+      .then((response) => {
+        if (!response.ok) throw new Error(response.status);
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+}
+
+FilterPresets.storageKey = 'filter-presets';
+FilterPresets.savedPresets = null;
+
+if (!customElements.get('filter-presets')) {
+  customElements.define(
+    'filter-presets',
+    class FilterPresetsElement extends HTMLElement {
+      constructor() {
+        super();
+        this.list = this.querySelector('.filter-presets__list');
+        this.select = this.querySelector('.filter-presets__select');
+        this.deleteButton = this.querySelector('.filter-presets__delete');
+        this.toggle = this.querySelector('.filter-presets__toggle');
+        this.form = this.querySelector('.filter-presets__form');
+        this.input = this.querySelector('.filter-presets__form input');
+        this.error = this.querySelector('.filter-presets__error');
+        this.status = this.querySelector('.filter-presets__status');
+        this.placeholder = this.select.options[0];
+
+        // the facets form around it renders the results again on any input
+        this.addEventListener('input', (event) => event.stopPropagation());
+
+        this.select.addEventListener('change', this.onApply.bind(this));
+        this.deleteButton.addEventListener('click', this.onDelete.bind(this));
+        this.toggle.addEventListener('click', () => this.toggleForm(this.form.hidden));
+        this.querySelector('.filter-presets__confirm').addEventListener('click', this.onSave.bind(this));
+        this.input.addEventListener('input', () => this.setError());
+
+        // it's in the mobile facets form, where Enter would submit it and leave the page
+        this.input.addEventListener('keydown', (event) => {
+          if (event.key === 'Enter') {
+            event.preventDefault();
+            this.onSave();
+          } else if (event.key === 'Escape' && !this.form.hidden) {
+            event.stopPropagation();
+            this.toggleForm(false);
+          }
+        });
+      }
+
+      connectedCallback() {
+        this.render();
+      }
+
+      render(selectedId = this.select.value) {
+        const presets = FilterPresets.getPresets();
+        this.select.replaceChildren(this.placeholder, ...presets.map((preset) => new Option(preset.name, preset.id)));
+        this.select.value = presets.some((preset) => preset.id === selectedId) ? selectedId : '';
+
+        this.list.hidden = presets.length === 0;
+        this.deleteButton.hidden = !this.select.value;
+        if (this.select.value) {
+          const { name } = presets.find((preset) => preset.id === this.select.value);
+          this.deleteButton.setAttribute('aria-label', window.filterPresetsStrings.delete.replace('[name]', name));
+        }
+      }
+
+      // applied like any other change to the filters, so the grid, counts and active filters render together
+      onApply() {
+        const preset = FilterPresets.getPresets().find((preset) => preset.id === this.select.value);
+        this.render();
+        if (!preset) return;
+
+        FacetFiltersForm.renderPage(preset.searchParams);
+        this.announce(window.filterPresetsStrings.applied.replace('[name]', preset.name));
+      }
+
+      onSave() {
+        const name = this.input.value.trim();
+        if (!name) {
+          this.input.focus();
+          return;
+        }
+
+        const searchParams = FilterPresets.getActiveSearchParams();
+        if (!searchParams) {
+          this.setError(window.filterPresetsStrings.noFilters);
+          return;
+        }
+
+        const preset = FilterPresets.save(name, searchParams);
+        document.querySelectorAll('filter-presets').forEach((element) => element.render(preset.id));
+        this.toggleForm(false);
+        this.toggle.focus();
+        this.announce(window.filterPresetsStrings.saved.replace('[name]', preset.name));
+      }
+
+      onDelete() {
+        const preset = FilterPresets.getPresets().find((preset) => preset.id === this.select.value);
+        if (!preset) return;
+
+        FilterPresets.remove(preset.id);
+        document.querySelectorAll('filter-presets').forEach((element) => element.render());
+        (this.list.hidden ? this.toggle : this.select).focus();
+        this.announce(window.filterPresetsStrings.removed.replace('[name]', preset.name));
+      }
+
+      toggleForm(open) {
+        this.form.hidden = !open;
+        this.toggle.setAttribute('aria-expanded', open);
+        this.setError();
+
+        if (open) {
+          this.input.value = '';
+          this.input.focus();
+        }
+      }
+
+      setError(message = '') {
+        this.error.hidden = !message;
+        this.error.querySelector('.filter-presets__error-text').textContent = message;
+        this.input.toggleAttribute('aria-invalid', !!message);
+      }
+
+      announce(message) {
+        this.status.textContent = message;
+      }
+    }
+  );
+}
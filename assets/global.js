@@ -1126,23 +1126,77 @@ class VariantSelects extends HTMLElement {
 customElements.define('variant-selects', VariantSelects);
 
 class ProductRecommendations extends HTMLElement {
+  static CART_PRODUCTS_LIMIT = 3;
+
   observer = undefined;
+  cartUpdateUnsubscriber = undefined;
 
   constructor() {
     super();
   }
 
   connectedCallback() {
+    if (this.hasAttribute('data-cart-recommendations')) {
+      // global.js runs ahead of cart-store.js, which has run along with the other deferred scripts by DOMContentLoaded
+      if (typeof CartStore === 'undefined') {
+        document.addEventListener('DOMContentLoaded', () => this.isConnected && this.subscribeToCart(), { once: true });
+      } else {
+        this.subscribeToCart();
+      }
+      return;
+    }
+
     this.initializeRecommendations(this.dataset.productId);
   }
 
+  // the cart drawer moves the element along when it's rendered, a load still waiting for it to be visible resumes
+  subscribeToCart() {
+    this.cartUpdateUnsubscriber?.();
+    this.cartUpdateUnsubscriber = CartStore.subscribe(this.initializeCartRecommendations.bind(this));
+    if (this.pendingLoad) this.loadWhenVisible(this.pendingLoad);
+    CartStore.getCart()
+      .then(this.initializeCartRecommendations.bind(this))
+      .catch((e) => {
+        console.error(e);
+        this.renderCartRecommendations(null, []);
+      });
+  }
+
+  disconnectedCallback() {
+    this.cartUpdateUnsubscriber?.();
+    this.observer?.disconnect();
+  }
+
   initializeRecommendations(productId) {
-    this.observer?.unobserve(this);
+    this.loadWhenVisible(() => this.loadRecommendations(productId));
+  }
+
+  // Recommends products for the ones in the cart, again whenever they change
+  initializeCartRecommendations(cart) {
+    const productIds = [...new Set(cart.items.map((item) => item.product_id.toString()))];
+    if (productIds.join() === this.cartProductIds?.join()) return;
+    this.cartProductIds = productIds;
+
+    if (!productIds.length) {
+      this.observer?.disconnect();
+      this.pendingLoad = null;
+      this.renderCartRecommendations(null, []);
+      return;
+    }
+
+    this.loadWhenVisible(() => this.loadCartRecommendations(productIds));
+  }
+
+  // the load waiting for the element to come close to the viewport is replaced by the new one
+  loadWhenVisible(load) {
+    this.observer?.disconnect();
+    this.pendingLoad = load;
     this.observer = new IntersectionObserver(
       (entries, observer) => {
         if (!entries[0].isIntersecting) return;
         observer.unobserve(this);
-        this.loadRecommendations(productId);
+        this.pendingLoad = null;
+        load();
       },
       { rootMargin: '0px 0px 400px 0px' }
     );
@@ -1150,8 +1204,7 @@ class ProductRecommendations extends HTMLElement {
   }
 
   loadRecommendations(productId) {
-    fetch(`${this.dataset.url}&product_id=${productId}&section_id=${this.dataset.sectionId}`)
-      .then((response) => response.text())
+    ProductLoader.getMarkup(`${this.dataset.url}&product_id=${productId}&section_id=${this.dataset.sectionId}`)
       .then((text) => {
         const html = document.createElement('div');
         html.innerHTML = text;
@@ -1173,6 +1226,57 @@ class ProductRecommendations extends HTMLElement {
         console.error(e);
       });
   }
+
+  /**
+   * Requests the recommendations of the first products in the cart and merges them, leaving out the products already
+   * in the cart and the ones recommended twice.
+   */
+  loadCartRecommendations(productIds) {
+    const requests = productIds.slice(0, ProductRecommendations.CART_PRODUCTS_LIMIT).map((productId) =>
+      ProductLoader.getMarkup(`${this.dataset.url}&product_id=${productId}&section_id=${this.dataset.sectionId}`).catch(
+        (e) => {
+          console.error(e);
+          return '';
+        }
+      )
+    );
+
+    Promise.all(requests).then((responses) => {
+      // the cart changed while loading, its own load renders the recommendations
+      if (productIds !== this.cartProductIds) return;
+
+      const seenProductIds = new Set(productIds);
+      let container = null;
+      const items = [];
+
+      responses.forEach((text) => {
+        const html = document.createElement('div');
+        html.innerHTML = text;
+        const recommendations = html.querySelector('product-recommendations');
+        if (!container && recommendations?.querySelector('[data-recommended-product-id]')) container = recommendations;
+
+        html.querySelectorAll('[data-recommended-product-id]').forEach((item) => {
+          if (seenProductIds.has(item.dataset.recommendedProductId)) return;
+          seenProductIds.add(item.dataset.recommendedProductId);
+          items.push(item);
+        });
+      });
+
+      this.renderCartRecommendations(container, items.slice(0, parseInt(this.dataset.limit) || 4));
+    });
+  }
+
+  renderCartRecommendations(container, items) {
+    if (!container || !items.length) {
+      this.innerHTML = '';
+      this.classList.remove('product-recommendations--loaded');
+      return;
+    }
+
+    this.innerHTML = container.innerHTML;
+    this.querySelector('[role="list"]').replaceChildren(...items);
+    this.classList.add('product-recommendations--loaded');
+  }
 }
 
 customElements.define('product-recommendations', ProductRecommendations);
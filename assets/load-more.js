@@ -0,0 +1,180 @@
+if (!customElements.get('load-more')) {
+  customElements.define(
+    'load-more',
+    class LoadMore extends HTMLElement {
+      constructor() {
+        super();
+        this.count = this.querySelector('.load-more__count');
+        this.startPage = parseInt(this.dataset.page);
+        this.onPageHide = this.saveState.bind(this);
+
+        this.addEventListener('click', (event) => {
+          if (!event.target.closest('.load-more__button')) return;
+
+          event.preventDefault();
+          this.loadNextPage(true);
+        });
+      }
+
+      connectedCallback() {
+        window.addEventListener('pagehide', this.onPageHide);
+        this.restoreState().then(() => {
+          if (this.dataset.mode === 'infinite') this.observe();
+        });
+      }
+
+      disconnectedCallback() {
+        this.observer?.disconnect();
+        window.removeEventListener('pagehide', this.onPageHide);
+      }
+
+      get button() {
+        return this.querySelector('.load-more__button');
+      }
+
+      get grid() {
+        return document.querySelector('#ProductGridContainer .product-grid');
+      }
+
+      get storageKey() {
+        return `load-more:${window.location.pathname}${window.location.search}`;
+      }
+
+      // the observer only calls back when the button comes into view, so it starts over once a page is appended
+      observe() {
+        this.observer?.disconnect();
+        if (!this.button) return;
+
+        this.observer = new IntersectionObserver(
+          (entries) => {
+            if (entries.some((entry) => entry.isIntersecting)) this.loadNextPage().then(() => this.observe());
+          },
+          { rootMargin: '0px 0px 400px 0px' }
+        );
+        this.observer.observe(this.button);
+      }
+
+      // Appends the next page to the grid and gives the page its url, with the filters and sorting it was loaded with
+      loadNextPage(focusNewItems = false) {
+        const button = this.button;
+        if (!button || this.loading) return Promise.resolve();
+
+        this.toggleLoading(true);
+        const url = new URL(button.getAttribute('href'), window.location.origin);
+
+        return this.fetchPage(url)
+          .then((html) => {
+            const items = this.getItems(html);
+            this.grid.append(...items);
+            this.renderLoadMore(html);
+
+            const searchParams = url.search.slice(1);
+            const search = typeof FacetURL === 'undefined' ? searchParams : FacetURL.serialize(searchParams);
+            history.replaceState({ ...history.state, searchParams }, '', `${url.pathname}?${search}`);
+
+            if (typeof initializeScrollAnimationTrigger === 'function') initializeScrollAnimationTrigger(this.grid);
+            if (focusNewItems) items[0]?.querySelector('a')?.focus({ preventScroll: true });
+          })
+          .catch((e) => {
+            console.error(e);
+          })
+          .finally(() => {
+            this.toggleLoading(false);
+          });
+      }
+
+      fetchPage(url) {
+        const sectionUrl = new URL(url);
+        sectionUrl.searchParams.set('section_id', this.dataset.sectionId);
+
+        return fetch(sectionUrl)
+          .then((response) => {
+            if (!response.ok) throw new Error(response.status);
+            return response.text();
+          })
+          .then((responseText) => new DOMParser().parseFromString(responseText, 'text/html'));
+      }
+
+      getItems(html) {
+        return Array.from(html.querySelector('#ProductGridContainer .product-grid')?.children || []);
+      }
+
+      renderLoadMore(html) {
+        const loadMore = html.querySelector('load-more');
+        if (!loadMore) return;
+
+        this.dataset.page = loadMore.dataset.page;
+        this.count.textContent = loadMore.querySelector('.load-more__count').textContent;
+
+        const nextButton = loadMore.querySelector('.load-more__button');
+        if (nextButton) {
+          this.button.setAttribute('href', nextButton.getAttribute('href'));
+        } else {
+          this.button.remove();
+        }
+      }
+
+      saveState() {
+        if (parseInt(this.dataset.page) === this.startPage) return;
+
+        try {
+          const state = { startPage: this.startPage, scrollY: window.scrollY };
+          sessionStorage.setItem(this.storageKey, JSON.stringify(state));
+        } catch (e) {}
+      }
+
+      // Going back loads the pages appended before ahead of the one the grid was left on, then restores the scroll
+      restoreState() {
+        let state = null;
+        try {
+          state = JSON.parse(sessionStorage.getItem(this.storageKey));
+          sessionStorage.removeItem(this.storageKey);
+        } catch (e) {
+          return Promise.resolve();
+        }
+
+        const navigation = performance.getEntriesByType('navigation')[0];
+        if (!state || navigation?.type !== 'back_forward' || state.startPage >= this.startPage) {
+          return Promise.resolve();
+        }
+
+        // the url can be a readable one, the search params it stands for are kept with the history entry
+        const searchParams = history.state?.searchParams ?? window.location.search.slice(1);
+        // the browser would scroll the shorter grid first, the position is restored once the pages are back
+        history.scrollRestoration = 'manual';
+        const pages = [];
+        for (let page = state.startPage; page < this.startPage; page++) {
+          const url = new URL(`${window.location.pathname}?${searchParams}`, window.location.origin);
+          url.searchParams.set('page', page);
+          pages.push(this.fetchPage(url));
+        }
+
+        return Promise.all(pages)
+          .then((htmls) => {
+            // the grid is rendered again by the filters when the url was a readable one
+            if (!this.isConnected) return;
+
+            this.grid.prepend(...htmls.flatMap((html) => this.getItems(html)));
+            this.startPage = state.startPage;
+            if (typeof initializeScrollAnimationTrigger === 'function') initializeScrollAnimationTrigger(this.grid);
+            window.scrollTo({ top: state.scrollY, behavior: 'instant' });
+          })
+          .catch((e) => {
+            console.error(e);
+          })
+          .finally(() => {
+            history.scrollRestoration = 'auto';
+          });
+      }
+
+      toggleLoading(enable) {
+        this.loading = enable;
+        if (!this.button) return;
+
+        this.button.classList.toggle('loading', enable);
+        this.button.toggleAttribute('aria-disabled', enable);
+        this.button.querySelector('.loading__spinner').classList.toggle('hidden', !enable);
+      }
+    }
+  );
+}
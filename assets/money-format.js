@@ -0,0 +1,80 @@
+class MoneyFormat {
+  static #placeholderRegex = /\{\{\s*(\w+)\s*\}\}/;
+
+  // [precision, thousands separator, decimal separator] for each placeholder a shop money format can use
+  static #placeholders = {
+    amount: [2, ',', '.'],
+    amount_no_decimals: [0, ',', '.'],
+    amount_with_comma_separator: [2, '.', ','],
+    amount_no_decimals_with_comma_separator: [0, '.', ','],
+    amount_with_apostrophe_separator: [2, "'", '.'],
+    amount_no_decimals_with_space_separator: [0, ' ', ','],
+    amount_with_space_separator: [2, ' ', ','],
+    amount_with_period_and_space_separator: [2, ' ', '.'],
+  };
+
+  // the currency prices are presented in, which differs from the shop currency when a customer picks another market
+  static get currency() {
+    return window.Shopify?.currency?.active || window.moneyFormats?.currency;
+  }
+
+  static get locale() {
+    return window.Shopify?.locale || document.documentElement.lang || undefined;
+  }
+
+  /**
+   * Formats an amount in cents, as returned by the AJAX API, for display.
+   * The shop's money format is used when prices are presented in the shop currency, otherwise the amount is formatted
+   * with Intl.NumberFormat for the presentment currency and active locale.
+   */
+  static format(cents, { withCurrency = false, currency = MoneyFormat.currency } = {}) {
+    const amount = typeof cents === 'string' ? parseInt(cents, 10) : cents;
+    if (isNaN(amount)) return '';
+
+    const shopFormats = window.moneyFormats;
+    if (shopFormats && currency === shopFormats.currency) {
+      return MoneyFormat.applyFormat(amount, withCurrency ? shopFormats.moneyWithCurrency : shopFormats.money);
+    }
+
+    return new Intl.NumberFormat(MoneyFormat.locale, {
+      style: 'currency',
+      currency,
+      currencyDisplay: withCurrency ? 'code' : 'symbol',
+    }).format(amount / 100);
+  }
+
+  // The placeholder of a shop money format that writes amounts like `sample`, 123400 cents as Liquid formatted it
+  static getAmountFormat(sample) {
+    const [, thousands = ',', decimal] = String(sample).match(/1(\D?)234(?:(\D)00)?/) || [];
+    const placeholder = Object.keys(MoneyFormat.#placeholders).find((name) => {
+      const [precision, placeholderThousands, placeholderDecimal] = MoneyFormat.#placeholders[name];
+      if (precision !== (decimal ? 2 : 0) || placeholderThousands !== thousands) return false;
+      return !decimal || placeholderDecimal === decimal;
+    });
+
+    return `{{${placeholder || 'amount'}}}`;
+  }
+
+  // Reads an amount written in a money format, e.g. '1.234,56' for '{{amount_with_comma_separator}}', back to cents
+  static parse(text, format = window.moneyFormats?.money || '{{amount}}') {
+    const match = format.match(MoneyFormat.#placeholderRegex);
+    const [, , decimal] = (match && MoneyFormat.#placeholders[match[1]]) || MoneyFormat.#placeholders.amount;
+    const [integer, fraction = ''] = String(text).split(decimal);
+    const amount = parseFloat(`${integer.replace(/\D/g, '')}.${fraction.replace(/\D/g, '')}`);
+
+    return isNaN(amount) ? NaN : Math.round(amount * 100);
+  }
+
+  // for an amount in cents (e.g. 123456) and a shop money format (e.g. '${{amount}}'), return the formatted text (e.g. '$1,234.56')
+  static applyFormat(cents, format) {
+    const text = format.replace(/<[^>]*>/g, '');
+    const match = text.match(MoneyFormat.#placeholderRegex);
+    if (!match) return text;
+
+    const [precision, thousands, decimal] = MoneyFormat.#placeholders[match[1]] || MoneyFormat.#placeholders.amount;
+    const [integer, fraction] = (cents / 100).toFixed(precision).split('.');
+    const amount = `${integer.replace(/\B(?=(\d{3})+(?!\d))/g, thousands)}${fraction ? `${decimal}${fraction}` : ''}`;
+
+    return text.replace(match[0], amount);
+  }
+}
@@ -1,9 +1,10 @@
 class PredictiveSearch extends SearchForm {
+  // Shared by all instances to save bandwidth, e.g. between the header and the search page
+  static cache = new SearchCache({ name: 'predictive-search', persist: true });
+
   constructor() {
     super();
-    this.cachedResults = {};
     this.predictiveSearchResults = this.querySelector('[data-predictive-search]');
-    this.allPredictiveSearchInstances = document.querySelectorAll('predictive-search');
     this.isOpen = false;
     this.abortController = new AbortController();
     this.searchTerm = '';
@@ -171,8 +172,9 @@ class PredictiveSearch extends SearchForm {
     const queryKey = searchTerm.replace(' ', '-').toLowerCase();
     this.setLiveRegionLoadingState();
 
-    if (this.cachedResults[queryKey]) {
-      this.renderSearchResults(this.cachedResults[queryKey]);
+    const cachedMarkup = PredictiveSearch.cache.get(queryKey);
+    if (cachedMarkup) {
+      this.renderSearchResults(cachedMarkup);
       return;
     }
 
@@ -192,10 +194,7 @@ class PredictiveSearch extends SearchForm {
         const resultsMarkup = new DOMParser()
           .parseFromString(text, 'text/html')
           .querySelector('#shopify-section-predictive-search').innerHTML;
-        // Save bandwidth keeping the cache in all instances synced
-        this.allPredictiveSearchInstances.forEach((predictiveSearchInstance) => {
-          predictiveSearchInstance.cachedResults[queryKey] = resultsMarkup;
-        });
+        PredictiveSearch.cache.set(queryKey, resultsMarkup);
         this.renderSearchResults(resultsMarkup);
       })
       .catch((error) => {
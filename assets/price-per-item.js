@@ -75,12 +75,25 @@ if (!customElements.get('price-per-item')) {
         for (let pair of this.qtyPricePairs) {
           if (this.currentQtyForVolumePricing >= pair[0]) {
             const pricePerItemCurrent = document.querySelector(`price-per-item[id^="Price-Per-Item-${this.dataset.sectionId || this.dataset.variantId}"] .price-per-item span`);
-            this.classList.contains('variant-item__price-per-item') ? pricePerItemCurrent.innerHTML = window.quickOrderListStrings.each.replace('[money]', pair[1]) : pricePerItemCurrent.innerHTML = pair[1];
+            pricePerItemCurrent.innerHTML = this.getPriceText(pair);
             break;
           }
         }
       }
 
+      // Prices are formatted client-side from the break amount in cents so they follow the presentment currency and locale
+      getPriceText([, priceText, priceInCents]) {
+        const isVariantItem = this.classList.contains('variant-item__price-per-item');
+
+        if (isNaN(priceInCents)) {
+          return isVariantItem ? window.quickOrderListStrings.each.replace('[money]', priceText) : priceText;
+        }
+
+        return isVariantItem
+          ? window.quickOrderListStrings.each.replace('[money]', MoneyFormat.format(priceInCents))
+          : window.variantStrings.priceAtEach.replace('[price]', MoneyFormat.format(priceInCents, { withCurrency: true }));
+      }
+
       getCartQuantity(updatedCartQuantity) {
         return (updatedCartQuantity || updatedCartQuantity === 0) ? updatedCartQuantity : parseInt(this.input.dataset.cartQuantity);
       }
@@ -92,8 +105,8 @@ if (!customElements.get('price-per-item')) {
         if (volumePricing) {
           volumePricing.querySelectorAll('li').forEach(li => {
             const qty = parseInt(li.querySelector('span:first-child').textContent);
-            const price = (li.querySelector('span:not(:first-child):last-child').dataset.text);
-            this.qtyPricePairs.push([qty, price]);
+            const priceElement = li.querySelector('span:not(:first-child):last-child');
+            this.qtyPricePairs.push([qty, priceElement.dataset.text, parseInt(priceElement.dataset.price)]);
           });
         }
         this.qtyPricePairs.reverse();
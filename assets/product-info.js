@@ -340,16 +340,29 @@ if (!customElements.get('product-info')) {
         if (!currentVariantId) return;
 
         this.querySelector('.quantity__rules-cart .loading__spinner').classList.remove('hidden');
-        return fetch(`${this.dataset.url}?variant=${currentVariantId}&section_id=${this.dataset.section}`)
-          .then((response) => response.text())
-          .then((responseText) => {
-            const html = new DOMParser().parseFromString(responseText, 'text/html');
-            this.updateQuantityRules(this.dataset.section, html);
-          })
+        return CartStore.getCart()
+          .then((cart) => this.updateCartQuantity(CartStore.getQuantityForVariant(cart, currentVariantId)))
           .catch((e) => console.error(e))
           .finally(() => this.querySelector('.quantity__rules-cart .loading__spinner').classList.add('hidden'));
       }
 
+      updateCartQuantity(cartQuantity) {
+        this.quantityInput.dataset.cartQuantity = cartQuantity;
+
+        const rulesCart = this.quantityForm.querySelector('.quantity__rules-cart');
+        rulesCart?.classList.toggle('hidden', cartQuantity === 0);
+        const quantityCart = rulesCart?.querySelector('.quantity-cart');
+        if (quantityCart) quantityCart.textContent = cartQuantity;
+
+        const hiddenLabel = document.getElementById(`quantity-label-${this.dataset.section}`);
+        if (hiddenLabel?.dataset.inCartLabel) {
+          hiddenLabel.textContent =
+            cartQuantity > 0 ? hiddenLabel.dataset.inCartLabel.replace('[quantity]', cartQuantity) : hiddenLabel.dataset.label;
+        }
+
+        this.setQuantityBoundries();
+      }
+
       updateQuantityRules(sectionId, html) {
         if (!this.quantityInput) return;
         this.setQuantityBoundries();
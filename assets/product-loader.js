@@ -0,0 +1,90 @@
+class ProductLoader {
+  static #requests = new Map();
+  static #products = new SearchCache({ name: 'product-data', maxEntries: 50, persist: true });
+  static #markup = new SearchCache({ name: 'product-markup', maxEntries: 10 });
+
+  static getProduct(handle) {
+    return ProductLoader.getProducts([handle]).then(([product]) => product);
+  }
+
+  /**
+   * Resolves with the /products/<handle>.js JSON of each handle, in order, or null for products that can't be loaded.
+   * Cached products are reused, handles already being requested share that request, and the remaining handles are
+   * loaded with a single request to the product-data section.
+   */
+  static getProducts(handles) {
+    const handlesToLoad = Array.from(new Set(handles)).filter(
+      (handle) => !ProductLoader.#products.get(handle) && !ProductLoader.#requests.has(handle)
+    );
+
+    if (handlesToLoad.length === 1) {
+      ProductLoader.#track(handlesToLoad[0], ProductLoader.#fetchProduct(handlesToLoad[0]));
+    } else if (handlesToLoad.length > 1) {
+      const batchRequest = ProductLoader.#fetchProducts(handlesToLoad);
+      handlesToLoad.forEach((handle) =>
+        ProductLoader.#track(
+          handle,
+          batchRequest.then((products) => products.get(handle) || ProductLoader.#fetchProduct(handle))
+        )
+      );
+    }
+
+    return Promise.all(
+      handles.map((handle) => ProductLoader.#products.get(handle) || ProductLoader.#requests.get(handle))
+    );
+  }
+
+  // Returns the markup of a page or section URL, sharing in-flight requests and reusing it until the cart changes
+  static getMarkup(url) {
+    const cachedMarkup = ProductLoader.#markup.get(url);
+    if (cachedMarkup) return Promise.resolve(cachedMarkup);
+
+    const key = `markup:${url}`;
+    if (!ProductLoader.#requests.has(key)) {
+      const request = fetch(url)
+        .then((response) => {
+          if (!response.ok) throw new Error(response.status);
+          return response.text();
+        })
+        .then((markup) => {
+          ProductLoader.#markup.set(url, markup);
+          return markup;
+        })
+        .finally(() => ProductLoader.#requests.delete(key));
+
+      ProductLoader.#requests.set(key, request);
+    }
+
+    return ProductLoader.#requests.get(key);
+  }
+
+  static #track(handle, request) {
+    ProductLoader.#requests.set(
+      handle,
+      request
+        .then((product) => {
+          if (product) ProductLoader.#products.set(handle, product);
+          return product;
+        })
+        .finally(() => ProductLoader.#requests.delete(handle))
+    );
+  }
+
+  static #fetchProduct(handle) {
+    return fetch(`${window.Shopify?.routes?.root || '/'}products/${encodeURIComponent(handle)}.js`)
+      .then((response) => (response.ok ? response.json() : null))
+      .catch(() => null);
+  }
+
+  // the search terms carry the handles to the product-data section, which looks each of them up
+  static #fetchProducts(handles) {
+    return fetch(`${routes.search_url}?q=${encodeURIComponent(handles.join(' '))}&section_id=product-data`)
+      .then((response) => response.text())
+      .then((text) => {
+        const html = new DOMParser().parseFromString(text, 'text/html');
+        const products = JSON.parse(html.querySelector('[data-product-data]').textContent);
+        return new Map(products.map((product) => [product.handle, product]));
+      })
+      .catch(() => new Map());
+  }
+}
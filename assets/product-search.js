@@ -2,24 +2,47 @@ class ProductSearch extends HTMLElement {
   constructor() {
     super();
     this.searchTimeout = null;
-    this.cartProductIds = new Set();
-    this.cache = new Map();
+    this.cartLines = new Map();
     this.lastQuery = '';
     this.abortController = null;
   }
 
+  cartUpdateUnsubscriber = undefined;
+
   connectedCallback() {
     this.init();
+    this.cartUpdateUnsubscriber = CartStore.subscribe((cart) => this.updateCartState(cart));
+  }
+
+  disconnectedCallback() {
+    this.cartUpdateUnsubscriber?.();
+    this.cache?.disconnect();
+  }
+
+  get cartItemBehavior() {
+    return this.dataset.cartItemBehavior || 'hide';
   }
 
   init() {
     this.input = this.querySelector('input[type="search"]');
     this.resultsContainer = this.querySelector('.search-results');
+    this.statusElement = this.querySelector('.product-search-status');
+    this.resultTemplate = this.querySelector('template.product-search-result-template');
     
     if (!this.input || !this.resultsContainer) return;
+
+    this.cache = new SearchCache({
+      name: 'product-search',
+      maxEntries: 10,
+      ttl: parseInt(this.dataset.cacheTtl ?? 300) * 1000,
+      persist: true,
+    });
     
     this.input.addEventListener('input', this.handleInput.bind(this));
+    this.addEventListener('keydown', this.onKeydown.bind(this));
     document.addEventListener('click', this.handleClickOutside.bind(this));
+
+    if (this.cartItemBehavior !== 'show') this.fetchCart();
   }
 
   handleInput(e) {
@@ -33,8 +56,9 @@ class ProductSearch extends HTMLElement {
     
     if (query === this.lastQuery) return;
     
-    if (this.cache.has(query)) {
-      this.displayResults(this.cache.get(query));
+    const cachedProducts = this.cache.get(query);
+    if (cachedProducts) {
+      this.displayResults(cachedProducts);
       return;
     }
     
@@ -50,6 +74,72 @@ class ProductSearch extends HTMLElement {
     }
   }
 
+  onKeydown(event) {
+    switch (event.code) {
+      case 'ArrowUp':
+      case 'ArrowDown':
+        if (event.target !== this.input) return;
+        // Prevent the cursor from moving in the input when using the up and down arrow keys
+        event.preventDefault();
+        this.switchOption(event.code === 'ArrowUp' ? 'up' : 'down');
+        break;
+      case 'Enter':
+        if (event.target !== this.input) return;
+        event.preventDefault();
+        this.selectOption();
+        break;
+      case 'Escape':
+        if (!this.isOpen) return;
+        event.preventDefault();
+        this.hideResults();
+        this.input.focus();
+        break;
+    }
+  }
+
+  switchOption(direction) {
+    if (!this.isOpen) return;
+
+    const options = Array.from(this.resultsContainer.querySelectorAll('[role="option"]'));
+    if (!options.length) return;
+
+    const selectedElement = this.resultsContainer.querySelector('[aria-selected="true"]');
+    const selectedIndex = options.indexOf(selectedElement);
+    let activeIndex;
+
+    if (direction === 'up') {
+      activeIndex = selectedIndex <= 0 ? options.length - 1 : selectedIndex - 1;
+    } else {
+      activeIndex = selectedIndex === options.length - 1 ? 0 : selectedIndex + 1;
+    }
+
+    const activeElement = options[activeIndex];
+    if (selectedElement) selectedElement.setAttribute('aria-selected', false);
+    activeElement.setAttribute('aria-selected', true);
+    activeElement.scrollIntoView({ block: 'nearest' });
+
+    this.input.setAttribute('aria-activedescendant', activeElement.id);
+  }
+
+  selectOption() {
+    const selectedOption = this.resultsContainer.querySelector('[aria-selected="true"]');
+    if (!selectedOption) return;
+
+    selectedOption.click();
+    selectedOption.querySelector('.variant-option-button:not(:disabled)')?.focus();
+  }
+
+  setLiveRegionText(statusText) {
+    if (!this.statusElement) return;
+
+    this.statusElement.setAttribute('aria-hidden', 'false');
+    this.statusElement.textContent = statusText;
+
+    setTimeout(() => {
+      this.statusElement.setAttribute('aria-hidden', 'true');
+    }, 1000);
+  }
+
   async searchProducts(query) {
     this.lastQuery = query;
     
@@ -59,23 +149,18 @@ class ProductSearch extends HTMLElement {
     this.abortController = new AbortController();
     
     try {
-      const [cartData, searchData] = await Promise.all([
-        this.updateCartProductIds(),
-        fetch(`/search/suggest.json?q=${encodeURIComponent(query)}&resources[type]=product&resources[limit]=10`, {
-          signal: this.abortController.signal
-        }).then(r => r.json())
-      ]);
+      const searchData = await fetch(
+        `/search/suggest.json?q=${encodeURIComponent(query)}&resources[type]=product&resources[limit]=10`,
+        { signal: this.abortController.signal }
+      ).then((r) => r.json());
       
       if (searchData.resources?.results?.products && searchData.resources.results.products.length > 0) {
         const productsWithVariants = await this.fetchProductsWithVariants(searchData.resources.results.products);
         this.cache.set(query, productsWithVariants);
-        if (this.cache.size > 10) {
-          const firstKey = this.cache.keys().next().value;
-          this.cache.delete(firstKey);
-        }
         this.displayResults(productsWithVariants);
       } else {
         this.hideResults();
+        this.setLiveRegionText(window.productSearchStrings.noResults);
       }
     } catch (error) {
       if (error.name !== 'AbortError') {
@@ -84,230 +169,580 @@ class ProductSearch extends HTMLElement {
     }
   }
 
-  async updateCartProductIds() {
-    try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
-      
-      this.cartProductIds = new Set();
-      if (cart.items && cart.items.length > 0) {
-        cart.items.forEach(item => {
-          this.cartProductIds.add(item.product_id);
-        });
-      }
-    } catch (error) {
-      this.cartProductIds = new Set();
-    }
+  fetchCart() {
+    CartStore.getCart()
+      .then((cart) => this.updateCartState(cart))
+      .catch(() => {
+        this.cartLines = new Map();
+      });
+  }
+
+  updateCartState(cart) {
+    this.cartLines = new Map(cart.items.map((item) => [item.key, item]));
+  }
+
+  getCartLines(product) {
+    return Array.from(this.cartLines.values()).filter((line) => line.product_id === product.id);
   }
 
   async fetchProductsWithVariants(products) {
-    const promises = products.map(async product => {
-      try {
-        const productResponse = await fetch(`/products/${product.handle}.js`);
-        const productData = await productResponse.json();
-        product.fullVariants = productData.variants;
-        return product;
-      } catch (error) {
-        product.fullVariants = [];
-        return product;
-      }
+    const productsData = await ProductLoader.getProducts(products.map((product) => product.handle));
+
+    return products.map((product, index) => {
+      product.fullVariants = productsData[index]?.variants || [];
+      product.fullOptions = productsData[index]?.options || [];
+      return product;
     });
-    
-    return Promise.all(promises);
   }
 
   displayResults(products) {
-    const filteredProducts = products.filter(product => !this.cartProductIds.has(product.id));
+    const filteredProducts =
+      this.cartItemBehavior === 'hide'
+        ? products.filter((product) => this.getCartLines(product).length === 0)
+        : products;
     
     if (filteredProducts.length === 0) {
       this.hideResults();
+      this.setLiveRegionText(window.productSearchStrings.noResults);
       return;
     }
 
     const fragment = document.createDocumentFragment();
     
     filteredProducts.forEach(product => {
-      const item = document.createElement('div');
-      item.className = 'search-result-item';
-      item.dataset.productId = product.id;
-      item.innerHTML = `
-        <div class="product-info">
-          <h4>${product.title}</h4>
-          <span class="price">${this.formatPrice(product.price)}</span>
-        </div>
-      `;
+      const item = this.createResultCard(product);
+      item.prepend(this.createSelectCheckbox(product, item));
+      item.querySelector('.product-info').after(this.createQuantityInput(product));
+      if (this.cartItemBehavior === 'badge') this.renderCartStatus(product, item);
       
-      item.addEventListener('click', () => this.selectProduct(product), { once: true });
+      item.addEventListener('click', (event) => {
+        if (
+          event.target.closest(
+            '.search-result-variants, .search-result-item__quantity, .search-result-item__select, .search-result-item__cart'
+          )
+        )
+          return;
+        if (item.getAttribute('aria-disabled') === 'true') return;
+        this.selectProduct(product, item);
+      });
       fragment.appendChild(item);
     });
 
+    fragment.appendChild(this.createSelectionFooter());
+    this.resultProducts = filteredProducts;
+
     this.resultsContainer.innerHTML = '';
     this.resultsContainer.appendChild(fragment);
+    this.updateSelectionFooter();
     this.showResults();
+
+    const countTemplate =
+      filteredProducts.length === 1 ? window.productSearchStrings.resultCount : window.productSearchStrings.resultsCount;
+    this.setLiveRegionText(countTemplate.replace('[count]', filteredProducts.length));
+  }
+
+  // Cards are cloned from a template and filled with textContent, so product data can never inject markup
+  createResultCard(product) {
+    const item = this.resultTemplate.content.firstElementChild.cloneNode(true);
+    const variant = this.getDefaultVariant(product);
+    const isAvailable = product.fullVariants?.length
+      ? product.fullVariants.some(({ available }) => available)
+      : product.available !== false;
+
+    item.id = `${this.resultsContainer.id}-${product.id}`;
+    item.dataset.productId = product.id;
+    item.setAttribute('aria-disabled', !isAvailable);
+
+    const imageSource = product.featured_image?.url || product.image;
+    const image = item.querySelector('.search-result-item__image');
+    if (imageSource) {
+      const imageUrl = new URL(imageSource, window.location.origin);
+      imageUrl.searchParams.set('width', 100);
+      image.src = imageUrl.toString();
+      image.alt = product.featured_image?.alt || product.title;
+    } else {
+      item.querySelector('.search-result-item__media').remove();
+    }
+
+    const vendor = item.querySelector('.search-result-item__vendor');
+    if (product.vendor) {
+      vendor.textContent = product.vendor;
+    } else {
+      vendor.remove();
+    }
+
+    item.querySelector('.search-result-item__title').textContent = product.title;
+
+    // Variant prices from the product JSON are in cents, the suggest API only gives decimal prices as a fallback
+    const price = variant ? variant.price : Math.round(parseFloat(product.price) * 100);
+    const compareAtPrice = variant
+      ? variant.compare_at_price
+      : Math.round(parseFloat(product.compare_at_price_max) * 100);
+    item.querySelector('.price').textContent = this.formatPrice(price);
+
+    const compareAtPriceElement = item.querySelector('.search-result-item__compare-price');
+    if (compareAtPrice > price) {
+      compareAtPriceElement.querySelector('s').textContent = this.formatPrice(compareAtPrice);
+      item.querySelector('.search-result-item__price').classList.add('search-result-item__price--on-sale');
+    } else {
+      compareAtPriceElement.remove();
+      item.querySelector('.search-result-item__sale-label').remove();
+    }
+
+    item.querySelector('.search-result-item__sold-out').classList.toggle('hidden', isAvailable);
+
+    const variantCount = item.querySelector('.search-result-item__variant-count');
+    const variantsLength = product.fullVariants?.length || 0;
+    if (variantsLength > 1) {
+      variantCount.textContent = window.productSearchStrings.variantCount.replace('[count]', variantsLength);
+    } else {
+      variantCount.remove();
+    }
+
+    return item;
+  }
+
+  createSelectCheckbox(product, item) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'search-result-item__select';
+    checkbox.setAttribute('aria-label', window.productSearchStrings.selectProduct.replace('[product]', product.title));
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked && this.hasMultipleVariants(product)) this.openVariantPicker(product, item);
+      this.updateSelectionFooter();
+    });
+
+    return checkbox;
+  }
+
+  createQuantityInput(product) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'search-result-item__quantity';
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'search-result-item__quantity-input';
+    input.setAttribute('aria-label', window.productSearchStrings.quantityLabel.replace('[product]', product.title));
+    input.addEventListener('change', () => this.validateQuantity(input));
+    input.addEventListener('keydown', (event) => {
+      if (event.code !== 'Enter') return;
+      event.preventDefault();
+      input.closest('.search-result-item').click();
+    });
+    this.setQuantityRules(input, this.getDefaultVariant(product));
+
+    wrapper.appendChild(input);
+    return wrapper;
+  }
+
+  createSelectionFooter() {
+    const footer = document.createElement('div');
+    footer.className = 'search-results__footer hidden';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'search-results__add-selected button button--primary';
+    button.addEventListener('click', this.addSelectedToCart.bind(this));
+
+    footer.appendChild(button);
+    return footer;
+  }
+
+  updateSelectionFooter() {
+    const footer = this.resultsContainer.querySelector('.search-results__footer');
+    if (!footer) return;
+
+    const selectedCount = this.resultsContainer.querySelectorAll('.search-result-item__select:checked').length;
+    footer.classList.toggle('hidden', selectedCount === 0);
+    footer.querySelector('button').textContent = window.productSearchStrings.addSelected.replace('[count]', selectedCount);
+  }
+
+  renderCartStatus(product, item) {
+    item.querySelector('.search-result-item__cart')?.remove();
+
+    const lines = this.getCartLines(product);
+    if (!lines.length) return;
+
+    const cartStatus = document.createElement('div');
+    cartStatus.className = 'search-result-item__cart';
+
+    const badge = document.createElement('span');
+    badge.className = 'search-result-item__cart-badge badge';
+    const quantity = lines.reduce((total, line) => total + line.quantity, 0);
+    badge.textContent = window.productSearchStrings.inCart.replace('[quantity]', quantity);
+    cartStatus.appendChild(badge);
+
+    // Lines of different variants can't be told apart from a single stepper, so it's only offered for one line
+    if (lines.length === 1) {
+      const [line] = lines;
+      const step = line.quantity_rule?.increment || 1;
+
+      [
+        ['minus', '−', window.productSearchStrings.decrease, -step],
+        ['plus', '+', window.productSearchStrings.increase, step],
+      ].forEach(([name, label, ariaLabel, change]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.name = name;
+        button.className = 'search-result-item__cart-button';
+        button.textContent = label;
+        button.setAttribute('aria-label', ariaLabel.replace('[product]', product.title));
+        button.addEventListener('click', () =>
+          this.changeCartQuantity(product, item, line, Math.max(line.quantity + change, 0))
+        );
+        cartStatus.appendChild(button);
+      });
+    }
+
+    item.querySelector('.product-info').after(cartStatus);
+  }
+
+  async changeCartQuantity(product, item, line, quantity) {
+    item.querySelectorAll('.search-result-item__cart-button').forEach((button) => (button.disabled = true));
+
+    try {
+      const cartData = await CartQueue.change(
+        { id: line.key, quantity },
+        { coalesceKey: line.key, event: { source: 'product-search', productVariantId: line.variant_id } }
+      );
+
+      if (cartData.status || cartData.errors) {
+        this.showMessage(cartData.errors || cartData.description || window.cartStrings.error, 'error');
+        this.renderCartStatus(product, item);
+        return;
+      }
+
+      this.updateCartState(cartData);
+      this.renderCartStatus(product, item);
+      this.updateCartCount();
+    } catch (error) {
+      this.showMessage(window.cartStrings.error, 'error');
+      this.renderCartStatus(product, item);
+    }
+  }
+
+  hasMultipleVariants(product) {
+    return product.fullVariants && product.fullVariants.length > 1;
+  }
+
+  getDefaultVariant(product) {
+    const variants = product.fullVariants || [];
+    return variants.find((variant) => variant.available) || variants[0];
+  }
+
+  setQuantityRules(input, variant) {
+    const rule = variant?.quantity_rule || {};
+    const min = rule.min || 1;
+
+    input.min = min;
+    input.dataset.min = min;
+    input.step = rule.increment || 1;
+    if (rule.max) {
+      input.max = rule.max;
+    } else {
+      input.removeAttribute('max');
+    }
+    // a typed quantity is kept when the variant changes, only brought within its limits
+    const value = parseInt(input.value);
+    input.value = isNaN(value) ? min : Math.min(Math.max(value, min), rule.max || value);
+    input.setCustomValidity('');
+  }
+
+  // Mirrors BulkAdd.validateQuantity so the same min/max/increment messages are shown
+  validateQuantity(input) {
+    const value = parseInt(input.value);
+    let message = '';
+
+    if (isNaN(value) || value < parseInt(input.dataset.min)) {
+      message = window.quickOrderListStrings.min_error.replace('[min]', input.dataset.min);
+    } else if (input.max && value > parseInt(input.max)) {
+      message = window.quickOrderListStrings.max_error.replace('[max]', input.max);
+    } else if (value % parseInt(input.step) !== 0) {
+      message = window.quickOrderListStrings.step_error.replace('[step]', input.step);
+    }
+
+    input.setCustomValidity(message);
+    input.reportValidity();
+    if (message) input.select();
+
+    return !message;
+  }
+
+  getItemQuantity(item) {
+    const input = item.querySelector('.search-result-item__quantity-input');
+    if (!input) return 1;
+    return this.validateQuantity(input) ? parseInt(input.value) : null;
   }
 
-  selectProduct(product) {
+  selectProduct(product, item) {
+    if (this.hasMultipleVariants(product)) {
+      this.openVariantPicker(product, item);
+      return;
+    }
+
+    const quantity = this.getItemQuantity(item);
+    if (quantity === null) return;
+
     this.hideResults();
     this.input.value = '';
-    
-    const hasMultipleVariants = product.fullVariants && product.fullVariants.length > 1;
-    
-    if (hasMultipleVariants) {
-      window.location.href = `/products/${product.handle}`;
+    this.addToCart(product, quantity);
+  }
+
+  openVariantPicker(product, item) {
+    if (item.querySelector('.search-result-variants')) return;
+    this.resultsContainer.querySelectorAll('.search-result-variants').forEach((picker) => picker.remove());
+
+    // the picker is rebuilt with the variant chosen before, only one result has its picker open at a time
+    const variants = product.fullVariants;
+    const initialVariant =
+      variants.find((variant) => variant.id.toString() === item.dataset.variantId) || this.getDefaultVariant(product);
+
+    const picker = document.createElement('div');
+    picker.className = 'search-result-variants';
+    picker.selectedOptions = [...initialVariant.options];
+
+    (product.fullOptions || []).forEach((option, optionIndex) => {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'search-result-variants__option';
+
+      const legend = document.createElement('legend');
+      legend.textContent = option.name;
+      fieldset.appendChild(legend);
+
+      option.values.forEach((value) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'variant-option-button';
+        button.dataset.optionIndex = optionIndex;
+        button.dataset.value = value;
+        button.textContent = value;
+        button.addEventListener('click', () => {
+          picker.selectedOptions[optionIndex] = value;
+          this.updateVariantPicker(product, picker, optionIndex);
+        });
+        fieldset.appendChild(button);
+      });
+
+      picker.appendChild(fieldset);
+    });
+
+    const footer = document.createElement('div');
+    footer.className = 'search-result-variants__footer';
+
+    const price = document.createElement('span');
+    price.className = 'variant-price';
+    footer.appendChild(price);
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'search-result-variants__add button button--secondary';
+    addButton.addEventListener('click', () => {
+      if (!picker.selectedVariant?.available) return;
+
+      const quantity = this.getItemQuantity(item);
+      if (quantity !== null) this.selectVariant(product, picker.selectedVariant.id, quantity);
+    });
+    footer.appendChild(addButton);
+
+    picker.appendChild(footer);
+    item.appendChild(picker);
+    item.classList.add('product-with-variants');
+
+    this.updateVariantPicker(product, picker);
+  }
+
+  updateVariantPicker(product, picker, changedOptionIndex = -1) {
+    const variants = product.fullVariants;
+    const selectedOptions = picker.selectedOptions;
+
+    // A value is selectable when an available variant matches it together with every option chosen before it
+    const isValueAvailable = (optionIndex, value) =>
+      variants.some(
+        (variant) =>
+          variant.available &&
+          variant.options[optionIndex] === value &&
+          selectedOptions.slice(0, optionIndex).every((selected, index) => variant.options[index] === selected)
+      );
+
+    // Move options after the one that changed to the first available value when their selection became unavailable
+    selectedOptions.forEach((selected, optionIndex) => {
+      if (optionIndex <= changedOptionIndex || isValueAvailable(optionIndex, selected)) return;
+      const firstAvailable = product.fullOptions[optionIndex].values.find((value) =>
+        isValueAvailable(optionIndex, value)
+      );
+      if (firstAvailable !== undefined) selectedOptions[optionIndex] = firstAvailable;
+    });
+
+    picker.querySelectorAll('.variant-option-button').forEach((button) => {
+      const optionIndex = parseInt(button.dataset.optionIndex);
+      const isSelected = selectedOptions[optionIndex] === button.dataset.value;
+      button.classList.toggle('variant-option-button--selected', isSelected);
+      button.setAttribute('aria-pressed', isSelected);
+      button.disabled = !isValueAvailable(optionIndex, button.dataset.value);
+    });
+
+    const variant = variants.find((variant) =>
+      variant.options.every((value, index) => value === selectedOptions[index])
+    );
+    picker.selectedVariant = variant;
+    picker.closest('.search-result-item').dataset.variantId = variant?.id ?? '';
+
+    const quantityInput = picker.closest('.search-result-item').querySelector('.search-result-item__quantity-input');
+    if (quantityInput && variant) this.setQuantityRules(quantityInput, variant);
+
+    const price = picker.querySelector('.variant-price');
+    const addButton = picker.querySelector('.search-result-variants__add');
+    price.textContent = variant ? this.formatPrice(variant.price) : '';
+
+    if (!variant) {
+      addButton.disabled = true;
+      addButton.textContent = window.variantStrings.unavailable;
+    } else if (!variant.available) {
+      addButton.disabled = true;
+      addButton.textContent = window.variantStrings.soldOut;
     } else {
-      this.addToCart(product);
+      addButton.disabled = false;
+      addButton.textContent = window.variantStrings.addToCart;
     }
   }
 
-  selectVariant(product, variantId) {
+  selectVariant(product, variantId, quantity = 1) {
     this.hideResults();
     this.input.value = '';
 
-    this.addToCartByVariantId(product, variantId);
+    this.addToCartByVariantId(product, variantId, quantity);
   }
 
-  async addToCart(product) {
-    try {
-      const productResponse = await fetch(`/products/${product.handle}.js`);
-      
-      if (!productResponse.ok) {
-        throw new Error(`Failed to fetch product data: ${productResponse.status}`);
-      }
-      
-      const freshProductData = await productResponse.json();
-      
-      const availableVariant = freshProductData.variants.find(variant => variant.available);
-      
-      if (!availableVariant) {
-        throw new Error('No available variants found');
-      }
-      
-      const variantId = availableVariant.id;
-      
-      const formData = new FormData();
-      formData.append('id', variantId.toString());
-      formData.append('quantity', '1');
-      
-      const cart = document.querySelector('cart-notification') || document.querySelector('cart-drawer');
-      if (cart && cart.getSectionsToRender) {
-        formData.append(
-          'sections',
-          cart.getSectionsToRender().map((section) => section.id).join(',')
-        );
-        formData.append('sections_url', window.location.pathname);
+  async addSelectedToCart() {
+    const selectedItems = Array.from(this.resultsContainer.querySelectorAll('.search-result-item')).filter(
+      (item) => item.querySelector('.search-result-item__select:checked')
+    );
+    const items = [];
+
+    for (const item of selectedItems) {
+      const product = this.resultProducts.find(({ id }) => id.toString() === item.dataset.productId);
+      // the variant chosen in the result's picker, which can have been closed since, an option left unavailable is none
+      const variant =
+        item.dataset.variantId === undefined
+          ? this.getDefaultVariant(product)
+          : product.fullVariants.find((variant) => variant.id.toString() === item.dataset.variantId);
+      const quantity = this.getItemQuantity(item);
+
+      if (quantity === null) return;
+      if (!variant?.available) {
+        this.showMessage(window.variantStrings.soldOut, 'error');
+        return;
       }
 
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: formData
+      items.push({ id: variant.id, quantity });
+    }
+
+    if (!items.length) return;
+
+    const body = { items };
+    body.sections = CartSections.getSectionIds(this.getCartSections());
+    body.sections_url = window.location.pathname;
+
+    try {
+      const responseData = await CartQueue.add(body, {
+        event: { source: 'product-search', productVariantId: items[0].id },
       });
 
-      if (response.ok) {
-        const responseData = await response.json();
-        
-        this.cartProductIds.add(product.id);
-        this.triggerCartUpdate(responseData, availableVariant.id);
-        this.updateCartCount();
-        
-      } else {
-        const errorText = await response.text();
-        
-        let errorData;
-        try {
-          errorData = JSON.parse(errorText);
-        } catch (e) {
-          errorData = { message: 'Failed to add product to cart' };
-        }
-        
-        this.showMessage(errorData.description || errorData.message || 'Failed to add product to cart', 'error');
+      if (responseData.status) {
+        this.showMessage(
+          responseData.description || responseData.message || window.productSearchStrings.addToCartError,
+          'error'
+        );
+        return;
       }
-      
+
+      this.hideResults();
+      this.input.value = '';
+
+      const totalQuantity = items.reduce((total, { quantity }) => total + quantity, 0);
+      const message = (
+        totalQuantity === 1 ? window.quickOrderListStrings.itemAdded : window.quickOrderListStrings.itemsAdded
+      ).replace('[quantity]', totalQuantity);
+
+      // Cart notification renders a single line item, so it is given the first added line with the rendered sections
+      this.renderCartUpdate({ ...responseData.items[0], sections: responseData.sections }, message);
+      this.updateCartCount();
     } catch (error) {
-      this.showMessage('Failed to add product to cart', 'error');
+      this.showMessage(window.productSearchStrings.addToCartError, 'error');
     }
   }
 
-  async addToCartByVariantId(product, variantId) {
-    try {
-      const formData = new FormData();
-      formData.append('id', variantId.toString());
-      formData.append('quantity', '1');
-      
-      const cart = document.querySelector('cart-notification') || document.querySelector('cart-drawer');
-      if (cart && cart.getSectionsToRender) {
-        formData.append(
-          'sections',
-          cart.getSectionsToRender().map((section) => section.id).join(',')
-        );
-        formData.append('sections_url', window.location.pathname);
-      }
+  async addToCart(product, quantity = 1) {
+    const productData = await ProductLoader.getProduct(product.handle);
+    const availableVariant = productData?.variants.find((variant) => variant.available);
+
+    if (!availableVariant) {
+      this.showMessage(window.productSearchStrings.addToCartError, 'error');
+      return;
+    }
 
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: formData
+    return this.addToCartByVariantId(product, availableVariant.id, quantity);
+  }
+
+  async addToCartByVariantId(product, variantId, quantity = 1) {
+    const body = { id: variantId, quantity };
+
+    body.sections = CartSections.getSectionIds(this.getCartSections());
+    body.sections_url = window.location.pathname;
+
+    try {
+      const responseData = await CartQueue.add(body, {
+        event: { source: 'product-search', productVariantId: variantId },
       });
 
-      if (response.ok) {
-        const responseData = await response.json();
-        
-        this.cartProductIds.add(product.id);
-        this.triggerCartUpdate(responseData, variantId);
-        this.updateCartCount();
-        
-      } else {
-        const errorText = await response.text();
-        
-        let errorData;
-        try {
-          errorData = JSON.parse(errorText);
-        } catch (e) {
-          errorData = { message: 'Failed to add variant to cart' };
-        }
-        
-        this.showMessage(errorData.description || errorData.message || 'Failed to add variant to cart', 'error');
+      if (responseData.status) {
+        this.showMessage(
+          responseData.description || responseData.message || window.productSearchStrings.addToCartError,
+          'error'
+        );
+        return;
       }
-      
+
+      this.renderCartUpdate(responseData);
+      this.updateCartCount();
     } catch (error) {
-      this.showMessage('Failed to add variant to cart', 'error');
+      this.showMessage(window.productSearchStrings.addToCartError, 'error');
     }
   }
 
-  triggerCartUpdate(cartData, variantId) {
+  // the drawer or notification the added products are shown in, with the cart sections of the page, or those alone
+  getCartSections() {
+    const cart = document.querySelector('cart-notification') || document.querySelector('cart-drawer');
+    return cart?.getSectionsToRender ? cart.getSectionsToRender() : CartSections.get();
+  }
+
+  renderCartUpdate(
+    cartData,
+    message = window.productSearchStrings.addedToCart.replace('[product]', cartData.product_title)
+  ) {
     const cart = document.querySelector('cart-drawer') || document.querySelector('cart-notification');
-    
+
     if (cart) {
       try {
-        if (typeof publish === 'function' && typeof PUB_SUB_EVENTS !== 'undefined') {
-          publish(PUB_SUB_EVENTS.cartUpdate, {
-            source: 'product-search',
-            productVariantId: variantId,
-            cartData: cartData,
-          });
-        }
-        
         if (cart.renderContents) {
           cart.renderContents(cartData);
         }
+
+        this.setLiveRegionText(message);
         
       } catch (error) {
-        this.showMessage(`Product added to cart!`, 'success');
+        this.showMessage(message, 'success');
       }
       
     } else {
-      this.showMessage(`Product added to cart!`, 'success');
+      CartSections.render(cartData.sections, this.getCartSections());
+      this.showMessage(message, 'success');
     }
   }
 
   updateCartCount() {
-    fetch('/cart.js')
-      .then(response => response.json())
-      .then(cart => {
+    CartStore.getCart()
+      .then((cart) => {
         const cartCount = document.querySelector('.cart-count-bubble span, [data-cart-count]');
         if (cartCount) {
           cartCount.textContent = cart.item_count;
@@ -316,59 +751,39 @@ class ProductSearch extends HTMLElement {
       .catch(() => {});
   }
 
-  showMessage(message, type = 'info') { 
-    const notification = document.createElement('div');
-    notification.className = `product-search-notification ${type}`;
-    notification.textContent = message;
-    
-    let backgroundColor = '#2196f3';
-    if (type === 'success') backgroundColor = '#2e7d32';
-    if (type === 'error') backgroundColor = '#d32f2f';
-    
-    notification.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      padding: 12px 20px;
-      border-radius: 8px;
-      color: white;
-      font-size: 14px;
-      font-weight: 500;
-      z-index: 10000;
-      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-      background-color: ${backgroundColor};
-    `;
-    
-    document.body.appendChild(notification);
-    
-    setTimeout(() => {
-      notification.remove();
-    }, 3000);
+  showMessage(message, type = 'info') {
+    publish(PUB_SUB_EVENTS.toast, { message, type });
   }
 
   formatPrice(price) {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(price / 100);
+    return MoneyFormat.format(price);
   }
 
   showResults() {
     this.resultsContainer.style.display = 'block';
+    this.input.setAttribute('aria-expanded', true);
+    this.isOpen = true;
   }
 
   hideResults() {
     this.resultsContainer.style.display = 'none';
+    this.resultsContainer
+      .querySelectorAll('[aria-selected="true"]')
+      .forEach((option) => option.setAttribute('aria-selected', false));
+    this.input.setAttribute('aria-activedescendant', '');
+    this.input.setAttribute('aria-expanded', false);
+    this.isOpen = false;
   }
 
   showLoader() {
     this.resultsContainer.innerHTML = `
       <div class="search-loader">
         <div class="loader-spinner"></div>
-        <span>Searching...</span>
+        <span>${window.productSearchStrings.loading}</span>
       </div>
     `;
     this.showResults();
+    this.setLiveRegionText(window.productSearchStrings.loading);
   }
 }
 
@@ -25,8 +25,7 @@ if (!customElements.get('quick-add-modal')) {
         opener.classList.add('loading');
         opener.querySelector('.loading__spinner').classList.remove('hidden');
 
-        fetch(opener.getAttribute('data-product-url'))
-          .then((response) => response.text())
+        ProductLoader.getMarkup(opener.getAttribute('data-product-url'))
           .then((responseText) => {
             const responseHTML = new DOMParser().parseFromString(responseText, 'text/html');
             const productElement = responseHTML.querySelector('product-info');
@@ -7,6 +7,7 @@ if (!customElements.get('quick-order-list')) {
       constructor() {
         super();
         this.isListInsideModal = this.closest('bulk-modal');
+        this.pendingRemovals = new Set();
 
         this.stickyHeaderElement = document.querySelector('sticky-header');
         if (this.stickyHeaderElement) {
@@ -28,9 +29,15 @@ if (!customElements.get('quick-order-list')) {
       }
 
       connectedCallback() {
-        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, async (event) => {
-          // skip if cart event was triggered by this section
-          if (event.source === this.id) return;
+        if (CartStore.cart) this.cartQuantitiesForProduct = this.getCartQuantitiesForProduct(CartStore.cart);
+
+        this.cartUpdateUnsubscriber = CartStore.subscribe(async (cart, event) => {
+          const cartQuantitiesForProduct = this.getCartQuantitiesForProduct(cart);
+          const hasProductChanged = cartQuantitiesForProduct !== this.cartQuantitiesForProduct;
+          this.cartQuantitiesForProduct = cartQuantitiesForProduct;
+
+          // skip if cart event was triggered by this section or didn't change this product's lines
+          if (event.source === this.id || !hasProductChanged) return;
 
           this.toggleTableLoading(true);
           await this.refresh();
@@ -90,6 +97,7 @@ if (!customElements.get('quick-order-list')) {
           button.addEventListener('click', (event) => {
             event.preventDefault();
             this.toggleLoading(true);
+            this.pendingRemovals.add(button.dataset.index);
             this.startQueue(button.dataset.index, 0);
           });
         });
@@ -99,6 +107,14 @@ if (!customElements.get('quick-order-list')) {
         return this.querySelector('.pagination-wrapper')?.dataset?.page ?? '1';
       }
 
+      getCartQuantitiesForProduct(cart) {
+        return JSON.stringify(
+          cart.items
+            .filter((item) => item.product_id.toString() === this.dataset.productId)
+            .map((item) => [item.variant_id, item.quantity])
+        );
+      }
+
       get cartVariantsForProduct() {
         return JSON.parse(this.querySelector('[data-cart-contents]')?.innerHTML || '[]');
       }
@@ -108,6 +124,7 @@ if (!customElements.get('quick-order-list')) {
         this.cleanErrorMessageOnType(event);
         if (inputValue == 0) {
           event.target.setAttribute('value', inputValue);
+          this.pendingRemovals.add(event.target.dataset.index);
           this.startQueue(event.target.dataset.index, inputValue);
         } else {
           this.validateQuantity(event);
@@ -143,29 +160,20 @@ if (!customElements.get('quick-order-list')) {
         return this.querySelector('.quick-order-list__table');
       }
 
+      // the list and its live region, then the cart sections registered in the page
       getSectionsToRender() {
-        return [
+        return CartSections.get([
           {
             id: this.id,
             section: this.dataset.section,
             selector: `#${this.id}`,
-          },
-          {
-            id: 'cart-icon-bubble',
-            section: 'cart-icon-bubble',
-            selector: '#shopify-section-cart-icon-bubble',
+            render: this.renderList.bind(this),
           },
           {
             id: `quick-order-list-live-region-text-${this.dataset.productId}`,
             section: 'cart-live-region-text',
-            selector: '.shopify-section',
           },
-          {
-            id: 'CartDrawer',
-            selector: '.drawer__inner',
-            section: 'cart-drawer',
-          },
-        ];
+        ]);
       }
 
       toggleTableLoading(enable) {
@@ -195,52 +203,42 @@ if (!customElements.get('quick-order-list')) {
       }
 
       renderSections(parsedState) {
-        const { items, sections } = parsedState;
-
-        this.getSectionsToRender().forEach(({ id, selector, section }) => {
-          const sectionElement = document.getElementById(id);
-          if (!sectionElement) return;
-
-          const newSection = new DOMParser().parseFromString(sections[section], 'text/html').querySelector(selector);
-
-          if (section === this.dataset.section) {
-            if (this.queue.length > 0 || this.hasPendingQuantityUpdate) return;
+        CartSections.render(parsedState.sections, this.getSectionsToRender());
+      }
 
-            const focusedElement = document.activeElement;
-            let focusTarget = focusedElement?.dataset?.target;
-            if (focusTarget?.includes('remove')) {
-              focusTarget = focusedElement.closest('quantity-popover')?.querySelector('[data-target*="increment-"]')
-                ?.dataset.target;
-            }
+      renderList(newSection) {
+        if (this.queue.length > 0 || this.hasPendingQuantityUpdate) return;
 
-            const total = this.getTotalBar();
-            if (total) {
-              total.innerHTML = newSection.querySelector('.quick-order-list__total').innerHTML;
-            }
+        const focusedElement = document.activeElement;
+        let focusTarget = focusedElement?.dataset?.target;
+        if (focusTarget?.includes('remove')) {
+          focusTarget = focusedElement.closest('quantity-popover')?.querySelector('[data-target*="increment-"]')
+            ?.dataset.target;
+        }
 
-            const table = this.quickOrderListTable;
-            const newTable = newSection.querySelector('.quick-order-list__table');
+        const total = this.getTotalBar();
+        if (total) {
+          total.innerHTML = newSection.querySelector('.quick-order-list__total').innerHTML;
+        }
 
-            // only update variants if they are from the active page
-            const shouldUpdateVariants =
-              this.currentPage === (newSection.querySelector('.pagination-wrapper')?.dataset.page ?? '1');
-            if (newTable && shouldUpdateVariants) {
-              table.innerHTML = newTable.innerHTML;
+        const table = this.quickOrderListTable;
+        const newTable = newSection.querySelector('.quick-order-list__table');
 
-              const newFocusTarget = this.querySelector(`[data-target='${focusTarget}']`);
-              if (newFocusTarget) {
-                newFocusTarget?.focus({ preventScroll: true });
-              }
+        // only update variants if they are from the active page
+        const shouldUpdateVariants =
+          this.currentPage === (newSection.querySelector('.pagination-wrapper')?.dataset.page ?? '1');
+        if (newTable && shouldUpdateVariants) {
+          const undoNotices = table.querySelectorAll('.cart-item-undo');
+          table.innerHTML = newTable.innerHTML;
+          undoNotices.forEach((notice) => this.querySelector(`#Variant-${notice.dataset.variantId}`)?.after(notice));
 
-              this.initVariantEventListeners();
-            }
-          } else if (section === 'cart-drawer') {
-            sectionElement.closest('cart-drawer')?.classList.toggle('is-empty', items.length === 0);
-            sectionElement.querySelector(selector).innerHTML = newSection.innerHTML;
-          } else {
-            sectionElement.innerHTML = newSection.innerHTML;
+          const newFocusTarget = this.querySelector(`[data-target='${focusTarget}']`);
+          if (newFocusTarget) {
+            newFocusTarget?.focus({ preventScroll: true });
           }
-        });
+
+          this.initVariantEventListeners();
+        }
       }
 
       getTotalBar() {
@@ -329,24 +327,22 @@ if (!customElements.get('quick-order-list')) {
         this.toggleLoading(true);
         const url = this.dataset.url || window.location.pathname;
 
-        const body = JSON.stringify({
+        const body = {
           updates: items,
-          sections: this.getSectionsToRender().map(({ section }) => section),
+          sections: CartSections.getSectionIds(this.getSectionsToRender()),
           sections_url: `${url}?page=${this.currentPage}`,
-        });
+        };
+
+        const removedIds = Object.keys(items).filter((id) => items[id] === 0 && this.pendingRemovals.has(id));
+        removedIds.forEach((id) => this.pendingRemovals.delete(id));
 
         this.updateMessage();
         this.setErrorMessage();
 
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-          .then((response) => response.text())
-          .then(async (state) => {
-            const parsedState = JSON.parse(state);
+        CartQueue.update(body, { event: { source: this.id } })
+          .then((parsedState) => {
             this.renderSections(parsedState);
-            publish(PUB_SUB_EVENTS.cartUpdate, {
-              source: this.id,
-              cartData: parsedState,
-            });
+            if (!parsedState.status) this.showUndoNotices(removedIds, parsedState.items_removed);
           })
           .catch((e) => {
             console.error(e);
@@ -358,6 +354,64 @@ if (!customElements.get('quick-order-list')) {
           });
       }
 
+      showUndoNotices(variantIds, itemsRemoved = []) {
+        variantIds.forEach((variantId) => {
+          const items = itemsRemoved.filter((item) => item.variant_id.toString() === variantId);
+          const row = this.querySelector(`#Variant-${variantId}`);
+          if (!items.length || !row) return;
+
+          this.querySelector(`.cart-item-undo[data-variant-id="${variantId}"]`)?.remove();
+
+          const notice = CartUndo.createNotice(items, {
+            colspan: row.cells.length,
+            onUndo: this.undoRemoval.bind(this),
+          });
+          notice.dataset.variantId = variantId;
+          row.after(notice);
+        });
+
+        if (variantIds.length && itemsRemoved.length) {
+          CartUndo.announce(
+            document.getElementById(`quick-order-list-live-region-text-${this.dataset.productId}`),
+            window.cartStrings.itemRemoved.replace('[title]', itemsRemoved[itemsRemoved.length - 1].title)
+          );
+        }
+      }
+
+      undoRemoval(notice) {
+        const url = this.dataset.url || window.location.pathname;
+        notice.remove();
+        this.toggleLoading(true);
+
+        CartUndo.restore(notice.items, {
+          sections: CartSections.getSectionIds(this.getSectionsToRender()),
+          sections_url: `${url}?page=${this.currentPage}`,
+          event: { source: this.id },
+        })
+          .then((response) => {
+            if (response.status) {
+              this.setErrorMessage(response.description || window.cartStrings.error);
+              return;
+            }
+
+            // the /cart/add response only has the added lines, the drawer needs the whole cart to tell if it's empty
+            return CartStore.getCart().then((cart) => {
+              this.renderSections({ ...cart, sections: response.sections });
+              CartUndo.announce(
+                document.getElementById(`quick-order-list-live-region-text-${this.dataset.productId}`),
+                window.cartStrings.itemRestored.replace('[title]', notice.items[0].title)
+              );
+            });
+          })
+          .catch((e) => {
+            console.error(e);
+            this.setErrorMessage(window.cartStrings.error);
+          })
+          .finally(() => {
+            this.queue.length === 0 && this.toggleLoading(false);
+          });
+      }
+
       setErrorMessage(message = null) {
         this.errorMessageTemplate =
           this.errorMessageTemplate ??
@@ -0,0 +1,215 @@
+class SavedForLater {
+  // the customer's list from their metafield when they're logged in, the one kept in this browser otherwise
+  static get items() {
+    if (!SavedForLater.savedItems) SavedForLater.savedItems = SavedForLater.load();
+    return SavedForLater.savedItems;
+  }
+
+  // Saves the `items_removed` of a /cart/change, adding up the quantity of a line that's already saved
+  static add(lineItems) {
+    lineItems.forEach((lineItem) => {
+      const savedItem = SavedForLater.items.find((item) => item.key === lineItem.key);
+      if (savedItem) {
+        savedItem.quantity += lineItem.quantity;
+        return;
+      }
+
+      SavedForLater.items.unshift({
+        key: lineItem.key,
+        variant_id: lineItem.variant_id,
+        quantity: lineItem.quantity,
+        properties: lineItem.properties || {},
+        selling_plan: lineItem.selling_plan_allocation?.selling_plan.id,
+        title: lineItem.title,
+        product_title: lineItem.product_title,
+        variant_title: lineItem.product_has_only_default_variant ? null : lineItem.variant_title,
+        url: lineItem.url,
+        image: lineItem.image,
+        price: lineItem.final_price,
+      });
+    });
+
+    SavedForLater.save();
+  }
+
+  static remove(key) {
+    SavedForLater.savedItems = SavedForLater.items.filter((item) => item.key !== key);
+    SavedForLater.save();
+  }
+
+  // Adds a saved line to the cart and takes it off the list once the cart accepted it, resolves with the response
+  static moveToCart(key, { sections, sections_url } = {}) {
+    const item = SavedForLater.items.find((item) => item.key === key);
+    if (!item) return Promise.resolve(null);
+
+    const body = {
+      items: [
+        {
+          id: item.variant_id,
+          quantity: item.quantity,
+          properties: item.properties,
+          ...(item.selling_plan && { selling_plan: item.selling_plan }),
+        },
+      ],
+      sections,
+      sections_url,
+    };
+
+    return CartQueue.add(body, { event: { source: 'saved-for-later', productVariantId: item.variant_id } }).then(
+      (response) => {
+        if (!response.status) SavedForLater.remove(key);
+        return response;
+      }
+    );
+  }
+
+  static load() {
+    if (routes.saved_for_later_url) {
+      try {
+        const items = JSON.parse(document.querySelector('[data-saved-for-later-customer]')?.textContent || null);
+        return Array.isArray(items) ? items : [];
+      } catch (e) {
+        console.error(e);
+        return [];
+      }
+    }
+
+    try {
+      return JSON.parse(localStorage.getItem(SavedForLater.storageKey)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // the app proxy keeps a logged-in customer's list, nothing of it is left in the browser for the next one
+  static save() {
+    if (!routes.saved_for_later_url) {
+      try {
+        localStorage.setItem(SavedForLater.storageKey, JSON.stringify(SavedForLater.items));
+      } catch (e) {}
+      return;
+    }
+
+    const config = fetchConfig();
+    config.body = JSON.stringify({ items: SavedForLater.items });
+    fetch(routes.saved_for_later_url, config)
+      .then((response) => {
+        if (!response.ok) throw new Error(response.status);
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+}
+
+SavedForLater.storageKey = 'saved-for-later';
+SavedForLater.savedItems = null;
+
+if (!customElements.get('saved-for-later')) {
+  customElements.define(
+    'saved-for-later',
+    class SavedForLaterList extends HTMLElement {
+      constructor() {
+        super();
+        this.list = this.querySelector('.saved-for-later__list');
+        this.template = this.querySelector('template');
+        this.liveRegion = this.querySelector('.saved-for-later__live-region');
+      }
+
+      cartUpdateUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.render();
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, this.render.bind(this));
+      }
+
+      disconnectedCallback() {
+        this.cartUpdateUnsubscriber?.();
+      }
+
+      render() {
+        this.hidden = SavedForLater.items.length === 0;
+        this.list.replaceChildren(...SavedForLater.items.map((item) => this.renderItem(item)));
+      }
+
+      renderItem(item) {
+        const element = this.template.content.firstElementChild.cloneNode(true);
+        element.dataset.key = item.key;
+
+        const image = element.querySelector('.saved-for-later__image');
+        if (item.image) {
+          image.src = item.image;
+        } else {
+          image.remove();
+        }
+
+        element.querySelectorAll('.saved-for-later__link').forEach((link) => (link.href = item.url));
+        element.querySelector('.saved-for-later__name').textContent = item.product_title;
+
+        const options = [
+          item.variant_title,
+          ...Object.entries(item.properties)
+            .filter(([name, value]) => value && !name.startsWith('_'))
+            .map(([name, value]) => `${name}: ${value}`),
+        ].filter(Boolean);
+        element.querySelector('.saved-for-later__options').textContent = options.join(', ');
+
+        element.querySelector('.saved-for-later__quantity').textContent = window.cartStrings.savedQuantity.replace(
+          '[quantity]',
+          item.quantity
+        );
+        element.querySelector('.saved-for-later__price').textContent = MoneyFormat.format(item.price * item.quantity);
+
+        const moveButton = element.querySelector('[name="move"]');
+        moveButton.setAttribute('aria-label', window.cartStrings.moveToCartTitle.replace('[title]', item.title));
+        moveButton.addEventListener('click', () => this.moveToCart(item, moveButton));
+
+        const removeButton = element.querySelector('[name="remove"]');
+        removeButton.setAttribute('aria-label', window.cartStrings.removeSavedTitle.replace('[title]', item.title));
+        removeButton.addEventListener('click', () => this.remove(item));
+
+        return element;
+      }
+
+      moveToCart(item, button) {
+        button.setAttribute('aria-disabled', true);
+        button.classList.add('loading');
+        button.querySelector('.loading__spinner').classList.remove('hidden');
+
+        // the cart is rendered by its own elements once the cartUpdate is published
+        SavedForLater.moveToCart(item.key)
+          .then((response) => {
+            if (response?.status) {
+              publish(PUB_SUB_EVENTS.toast, {
+                message: response.description || window.cartStrings.error,
+                type: 'error',
+              });
+              return;
+            }
+
+            this.announce(window.cartStrings.itemMoved.replace('[title]', item.title));
+          })
+          .catch(() => {
+            publish(PUB_SUB_EVENTS.toast, { message: window.cartStrings.error, type: 'error' });
+          })
+          .finally(() => {
+            if (!button.isConnected) return;
+
+            button.removeAttribute('aria-disabled');
+            button.classList.remove('loading');
+            button.querySelector('.loading__spinner').classList.add('hidden');
+          });
+      }
+
+      remove(item) {
+        SavedForLater.remove(item.key);
+        document.querySelectorAll('saved-for-later').forEach((list) => list.render());
+        this.announce(window.cartStrings.itemRemoved.replace('[title]', item.title));
+      }
+
+      announce(message) {
+        this.liveRegion.textContent = message;
+      }
+    }
+  );
+}
@@ -0,0 +1,79 @@
+class SearchCache {
+  // Search results kept for `ttl` ms, up to `maxEntries`, and cleared on the `invalidateOn` events
+  constructor({
+    name,
+    maxEntries = 20,
+    ttl = 5 * 60 * 1000,
+    persist = false,
+    invalidateOn = [PUB_SUB_EVENTS.cartUpdate, PUB_SUB_EVENTS.variantChange],
+  }) {
+    this.storageKey = `search-cache:${name}`;
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.persist = persist;
+    this.entries = this.restore();
+    this.unsubscribers = invalidateOn.map((eventName) => subscribe(eventName, () => this.clear()));
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (Date.now() > entry.expiresAt) {
+      this.delete(key);
+      return undefined;
+    }
+
+    // re-insert so the Map's insertion order doubles as the recency order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    if (this.ttl <= 0) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttl });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.save();
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+    this.save();
+  }
+
+  clear() {
+    this.entries.clear();
+    this.save();
+  }
+
+  disconnect() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+
+  restore() {
+    if (!this.persist) return new Map();
+
+    try {
+      const now = Date.now();
+      const storedEntries = JSON.parse(sessionStorage.getItem(this.storageKey)) || [];
+      return new Map(storedEntries.filter(([, entry]) => entry.expiresAt > now));
+    } catch (e) {
+      return new Map();
+    }
+  }
+
+  save() {
+    if (!this.persist) return;
+
+    try {
+      sessionStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.entries)));
+    } catch (e) {}
+  }
+}
@@ -9,7 +9,6 @@ if (!customElements.get('share-button')) {
           shareButton: this.querySelector('button'),
           shareSummary: this.querySelector('summary'),
           closeButton: this.querySelector('.share-button__close'),
-          successMessage: this.querySelector('[id^="ShareMessage"]'),
           urlInput: this.querySelector('input'),
         };
         this.urlToShare = this.elements.urlInput ? this.elements.urlInput.value : document.location.href;
@@ -31,8 +30,6 @@ if (!customElements.get('share-button')) {
 
       toggleDetails() {
         if (!this.mainDetailsToggle.open) {
-          this.elements.successMessage.classList.add('hidden');
-          this.elements.successMessage.textContent = '';
           this.elements.closeButton.classList.add('hidden');
           this.elements.shareSummary.focus();
         }
@@ -40,8 +37,7 @@ if (!customElements.get('share-button')) {
 
       copyToClipboard() {
         navigator.clipboard.writeText(this.elements.urlInput.value).then(() => {
-          this.elements.successMessage.classList.remove('hidden');
-          this.elements.successMessage.textContent = window.accessibilityStrings.shareSuccess;
+          publish(PUB_SUB_EVENTS.toast, { message: window.accessibilityStrings.shareSuccess, type: 'success' });
           this.elements.closeButton.classList.remove('hidden');
           this.elements.closeButton.focus();
         });
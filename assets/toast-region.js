@@ -0,0 +1,108 @@
+if (!customElements.get('toast-region')) {
+  customElements.define(
+    'toast-region',
+    class ToastRegion extends HTMLElement {
+      static DEFAULT_DURATION = 5000;
+
+      constructor() {
+        super();
+        this.list = this.querySelector('.toast-region__list');
+        this.template = this.querySelector('template');
+        this.queue = [];
+      }
+
+      toastUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.toastUnsubscriber = subscribe(PUB_SUB_EVENTS.toast, this.enqueue.bind(this));
+      }
+
+      disconnectedCallback() {
+        this.toastUnsubscriber?.();
+      }
+
+      get maxVisible() {
+        return parseInt(this.dataset.maxVisible) || 3;
+      }
+
+      /**
+       * Queues a notification, published as { message, type, politeness, duration }.
+       * type is 'info', 'success' or 'error'. Errors are announced assertively unless a politeness is given, and a
+       * duration of 0 keeps the toast until it is dismissed.
+       */
+      enqueue({
+        message,
+        type = 'info',
+        politeness = type === 'error' ? 'assertive' : 'polite',
+        duration = ToastRegion.DEFAULT_DURATION,
+      }) {
+        if (!message) return;
+
+        this.queue.push({ message, type, politeness, duration });
+        this.showNext();
+      }
+
+      showNext() {
+        while (this.queue.length && this.list.children.length < this.maxVisible) {
+          this.show(this.queue.shift());
+        }
+      }
+
+      show({ message, type, politeness, duration }) {
+        const toast = this.template.content.firstElementChild.cloneNode(true);
+        toast.classList.add(`toast--${type}`);
+        toast.querySelector('.toast__message').textContent = message;
+        toast.querySelectorAll('.toast__icon').forEach((icon) => (icon.hidden = icon.dataset.type !== type));
+        toast.querySelector('.toast__close').addEventListener('click', () => this.dismiss(toast));
+
+        if (duration > 0) {
+          toast.remaining = duration;
+          toast.addEventListener('mouseenter', () => this.pause(toast));
+          toast.addEventListener('mouseleave', () => this.resume(toast));
+          toast.addEventListener('focusin', () => this.pause(toast));
+          toast.addEventListener('focusout', (event) => {
+            if (!toast.contains(event.relatedTarget)) this.resume(toast);
+          });
+          this.resume(toast);
+        }
+
+        this.list.appendChild(toast);
+        this.announce(message, politeness);
+      }
+
+      pause(toast) {
+        if (!toast.timer) return;
+
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining -= Date.now() - toast.startedAt;
+      }
+
+      resume(toast) {
+        if (toast.timer || toast.matches(':hover') || toast.contains(document.activeElement)) return;
+
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(() => this.dismiss(toast), toast.remaining);
+      }
+
+      dismiss(toast) {
+        clearTimeout(toast.timer);
+        if (toast.contains(document.activeElement)) document.activeElement.blur();
+
+        toast.remove();
+        this.showNext();
+      }
+
+      // the message is set on a region that's already in the page, as live regions inserted with it aren't announced
+      announce(message, politeness) {
+        const liveRegion =
+          this.querySelector(`[data-politeness="${politeness}"]`) || this.querySelector('[data-politeness="polite"]');
+        liveRegion.textContent = '';
+
+        setTimeout(() => {
+          liveRegion.textContent = message;
+        }, 100);
+      }
+    }
+  );
+}